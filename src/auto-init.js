@@ -1,7 +1,13 @@
-import { waterHoverEffect } from "./effects/waterHover.js";
+import {
+  waterHoverEffect,
+  waterHoverLiquidEffect as liquidEffect,
+} from "./effects/waterHover.js";
 import { realisticWaterHoverEffect as realisticEffect } from "./effects/realisticWaterHover.js";
 import { glitchEffect } from "./effects/glitch.js";
 import { fluidSimulationEffect as fluidEffect } from "./effects/fluidSimulation.js";
+import { detectWebGL } from "./core/support.js";
+import { RendererUnavailableError } from "./core/renderer.js";
+import { setReducedMotion } from "./core/motion.js";
 
 // Default configurations for each effect - smooth but fast
 const DEFAULT_CONFIGS = {
@@ -11,6 +17,34 @@ const DEFAULT_CONFIGS = {
     pulseSpeed: 2.0, // Faster pulse speed
     decay: 2.5, // Slower decay for longer effect
     frequency: 20, // Balanced frequency
+    // CSS pixel versions of the above; they win when set
+    strengthPx: null,
+    radiusPx: null,
+    pulseSpeedPx: null,
+    wavelengthPx: null,
+    maxRipples: 8, // Concurrent rings in the ripple pool
+    spawnInterval: 0.08, // Seconds between ripples while moving
+    trigger: "hover", // "hover" | "click" | "none"
+    rainRate: 0, // Ambient drops per second (0 = off)
+    rainStrengthMin: 0.2,
+    rainStrengthMax: 0.6,
+    rainSizeMin: 0.3, // Ring width relative to radius
+    rainSizeMax: 0.7,
+    rainSeed: null, // Number for a repeatable rain pattern
+    hiDPI: true, // Render at devicePixelRatio
+    maxPixelRatio: 2, // Cap for large canvases
+  },
+  liquid: {
+    amplitude: 1.0, // Scales all three waves
+    wave1Amplitude: 0.15, // Wave along x
+    wave1Speed: 0.6,
+    wave1Frequency: 2.0,
+    wave2Amplitude: 0.1, // Wave along y
+    wave2Speed: 1.0,
+    wave2Frequency: 3.0,
+    wave3Amplitude: 0.08, // Diagonal wave
+    wave3Speed: 0.7,
+    wave3Frequency: 2.4,
   },
   realistic: {
     simulationSpeed: 1.4, // Faster simulation
@@ -26,6 +60,18 @@ const DEFAULT_CONFIGS = {
     brightness: 1.3,
     tint: "#ffffff",
     shadowIntensity: -0.28,
+    quality: "auto", // "low" | "medium" | "high" | "auto"
+    targetFps: 55, // Frame rate "auto" quality holds
+    obstacleMap: null, // Image URL or "alpha": solid parts waves bounce off
+    walls: "reflect", // Obstacles "reflect" or "absorb" waves
+    edges: "reflect", // Canvas edges "reflect" or "absorb" waves
+    lightDirection: "-3,10,3", // x right, y out of the screen, z down
+    lightColor: "#ffffff",
+    specularPower: 60, // Higher = smaller, sharper highlights
+    caustics: 0, // Caustics brightness (0 = off)
+    causticsDepth: 2.0, // Image depth below the surface
+    wind: "0,0", // Ambient ripple direction; its length is the strength
+    windGusts: 8, // Wind ripples per second
   },
 
   fluid: {
@@ -35,6 +81,12 @@ const DEFAULT_CONFIGS = {
     lineIntensity: 0.3,
     threshold: 0.02,
     edgeWidth: 0.004,
+    coverage: 0.5,
+    mode: "trail",
+    vorticity: 20,
+    pressureIterations: 20,
+    velocityDecay: 0.99,
+    force: 1,
     movementTimeout: 50,
     hiDPI: true,
   },
@@ -59,21 +111,203 @@ const DEFAULT_CONFIGS = {
   },
 };
 
-// Store dispose functions for cleanup
+// Store effect controllers for cleanup
 const activeEffects = new Map();
+// Source element -> its mounted canvas and how to put the original DOM back
+const mounts = new Map();
+// Elements marked kxxxr-unsupported, unmarked again on cleanup
+const unsupportedElements = new Set();
+// Elements we just put back, so the DOM observer doesn't re-initialize them
+const restoredElements = new WeakSet();
+// Videos waiting for data before their glitch effect can start -> cancel fn
+const pendingElements = new Map();
+let mutationObserver = null;
+
+// Page-wide settings, adjustable via kxxxr.configure() before or after init
+const settings = {
+  // true | false | "auto" (share one WebGL context once a page has many effects)
+  sharedRenderer: "auto",
+  // Initialize/dispose effects as matching elements are added to/removed from the DOM
+  observe: false,
+  // (element, reason) => void, called for elements left untouched without WebGL
+  onUnsupported: null,
+  // "replace" swaps the element for the canvas, "overlay" lays it on top
+  mount: "replace",
+  // With prefers-reduced-motion: "static" | "reduce" | "no-flash" | "ignore"
+  reducedMotion: "reduce",
+};
+
+// Browsers keep roughly 16 live contexts; stay well below that in "auto"
+const SHARED_RENDERER_THRESHOLD = 8;
+const EFFECT_SELECTOR =
+  ".kxxxr-ripple, .kxxxr-liquid, .kxxxr-realistic, .kxxxr-glitch, .kxxxr-fluid";
 
 // (lightweight debug UI removed)
 
 function initKxxxrEffects() {
   const rippleElements = document.querySelectorAll(".kxxxr-ripple");
+  const liquidElements = document.querySelectorAll(".kxxxr-liquid");
   const realisticElements = document.querySelectorAll(".kxxxr-realistic");
   const glitchElements = document.querySelectorAll(".kxxxr-glitch");
   const fluidElements = document.querySelectorAll(".kxxxr-fluid");
 
-  rippleElements.forEach((el, i) => initRippleEffect(el, i));
-  realisticElements.forEach((el, i) => initRealisticEffect(el, i));
-  glitchElements.forEach((el, i) => initGlitchEffect(el, i));
-  fluidElements.forEach((el, i) => initFluidEffect(el, i));
+  rippleElements.forEach((el, i) => initElement(el, i));
+  liquidElements.forEach((el, i) => initElement(el, i));
+  realisticElements.forEach((el, i) => initElement(el, i));
+  glitchElements.forEach((el, i) => initElement(el, i));
+  fluidElements.forEach((el, i) => initElement(el, i));
+
+  if (settings.observe) startObserving();
+}
+
+/**
+ * Initialize the effect matching the element's kxxxr class, at most once
+ */
+function initElement(element, index) {
+  if (activeEffects.has(element) || pendingElements.has(element)) return;
+  if (!ensureWebGL(element)) return;
+  const { classList } = element;
+  if (classList.contains("kxxxr-ripple")) initRippleEffect(element, index);
+  else if (classList.contains("kxxxr-liquid")) initLiquidEffect(element, index);
+  else if (classList.contains("kxxxr-realistic"))
+    initRealisticEffect(element, index);
+  else if (classList.contains("kxxxr-glitch")) initGlitchEffect(element, index);
+  else if (classList.contains("kxxxr-fluid")) initFluidEffect(element, index);
+}
+
+/**
+ * Track a running effect so cleanup and the DOM observer can find it
+ */
+function registerEffect(element, mount, controller) {
+  activeEffects.set(element, controller);
+  mounts.set(element, { ...mount, untrack: trackLoadState(element, mount) });
+}
+
+/**
+ * `kxxxr-loading` until the effect shows its image, then `kxxxr-ready`, on
+ * both the source element and the canvas (the visible one when replaced)
+ */
+function trackLoadState(element, mount) {
+  const nodes = [element, mount.canvas];
+  const setState = (state) =>
+    nodes.forEach((node) => {
+      node.classList.toggle("kxxxr-loading", state === "loading");
+      node.classList.toggle("kxxxr-ready", state === "ready");
+    });
+  const onReady = () => setState("ready");
+  const onError = () => setState(null);
+  setState("loading");
+  element.addEventListener("kxxxr:ready", onReady);
+  element.addEventListener("kxxxr:error", onError);
+  return () => {
+    element.removeEventListener("kxxxr:ready", onReady);
+    element.removeEventListener("kxxxr:error", onError);
+    setState(null);
+  };
+}
+
+/**
+ * Dispose an element's effect and put the original element back
+ */
+function disposeEffect(element) {
+  const controller = activeEffects.get(element);
+  if (controller) controller.dispose();
+  activeEffects.delete(element);
+  const mount = mounts.get(element);
+  if (mount) {
+    mount.untrack();
+    restoreMount(element, mount);
+  }
+  mounts.delete(element);
+}
+
+// Only an element that was taken out and put back shows up as added
+function restoreMount(element, mount) {
+  if (mount.restore()) restoredElements.add(element);
+}
+
+/**
+ * Without WebGL the original element stays in place, marked `kxxxr-unsupported`
+ */
+function ensureWebGL(element, onUnsupported) {
+  const { supported, reason } = detectWebGL();
+  if (!supported) markUnsupported(element, reason, onUnsupported);
+  return supported;
+}
+
+let unsupportedWarned = false;
+function markUnsupported(element, reason, onUnsupported) {
+  element.classList.add("kxxxr-unsupported");
+  unsupportedElements.add(element);
+  const callback = onUnsupported || settings.onUnsupported;
+  if (typeof callback === "function") {
+    callback(element, reason);
+  } else if (!unsupportedWarned) {
+    unsupportedWarned = true;
+    console.warn(`kxxxr: ${reason}. Keeping the original elements.`);
+  }
+}
+
+/**
+ * Run an effect factory on a freshly mounted canvas. If it fails, the
+ * original element is restored; only a renderer that cannot start counts
+ * as unsupported, other errors (bad options, bugs) are logged as such.
+ */
+function startEffect(element, mount, create, onUnsupported) {
+  try {
+    return create();
+  } catch (err) {
+    restoreMount(element, mount);
+    if (err instanceof RendererUnavailableError) {
+      markUnsupported(element, err.message, onUnsupported);
+    } else {
+      console.error("kxxxr: could not start the effect", element, err);
+    }
+    return null;
+  }
+}
+
+function onMutations(records) {
+  let removed = false;
+  records.forEach((record) => {
+    if (record.removedNodes.length) removed = true;
+    record.addedNodes.forEach((node) => {
+      if (node.nodeType !== 1) return;
+      if (restoredElements.has(node)) {
+        restoredElements.delete(node);
+        return;
+      }
+      if (!node.isConnected) return;
+      if (node.matches(EFFECT_SELECTOR)) initElement(node, activeEffects.size);
+      node
+        .querySelectorAll(EFFECT_SELECTOR)
+        .forEach((el) => initElement(el, activeEffects.size));
+    });
+  });
+  if (!removed) return;
+  // Our own canvas swaps also remove nodes, so only react to detached mounts
+  mounts.forEach((mount, element) => {
+    if (mount.detached()) disposeEffect(element);
+  });
+  // Videos removed while still waiting for data never start
+  pendingElements.forEach((cancel, element) => {
+    if (!element.isConnected) cancel();
+  });
+}
+
+function startObserving() {
+  if (mutationObserver || typeof MutationObserver === "undefined") return;
+  mutationObserver = new MutationObserver(onMutations);
+  mutationObserver.observe(document.documentElement, {
+    childList: true,
+    subtree: true,
+  });
+}
+
+function stopObserving() {
+  if (!mutationObserver) return;
+  mutationObserver.disconnect();
+  mutationObserver = null;
 }
 
 function initRippleEffect(element, index) {
@@ -87,26 +321,64 @@ function initRippleEffect(element, index) {
     return;
   }
 
-  const canvas = createCanvas(element);
-  if (!canvas) return;
-
   const config = getConfigFromAttributes(element, "ripple");
+  const sharedRenderer = useSharedRenderer();
+  const mount = mountCanvas(element, getMountMode(element));
+  if (!mount) return;
+  const { canvas } = mount;
 
-  let dispose = waterHoverEffect(canvas, {
-    imageUrl,
-    ...config,
-  });
+  const controller = startEffect(element, mount, () =>
+    waterHoverEffect(canvas, {
+      imageUrl,
+      eventTarget: element,
+      sharedRenderer,
+      ...config,
+    })
+  );
+  if (!controller) return;
 
-  activeEffects.set(element, dispose);
+  registerEffect(element, mount, controller);
 
   if (config && config.debug === true) {
-    let currentOptions = { ...config };
-    const recreate = () => {
-      if (dispose) dispose();
-      dispose = waterHoverEffect(canvas, { imageUrl, ...currentOptions });
-      activeEffects.set(element, dispose);
-    };
-    createDatGuiForProgrammatic("ripple", currentOptions, recreate);
+    const currentOptions = { ...config };
+    const update = () => controller.setOptions(currentOptions);
+    createDatGuiForProgrammatic("ripple", currentOptions, update);
+  }
+}
+
+function initLiquidEffect(element, index) {
+  const imageUrl = getImageUrl(element);
+  if (!imageUrl) {
+    console.warn(`kxxxr-liquid: No image found for element ${index}. Please add an image using:
+    - src attribute (for img elements)
+    - background-image CSS property
+    - data-src attribute
+    - data-image attribute`);
+    return;
+  }
+
+  const config = getConfigFromAttributes(element, "liquid");
+  const sharedRenderer = useSharedRenderer();
+  const mount = mountCanvas(element, getMountMode(element));
+  if (!mount) return;
+  const { canvas } = mount;
+
+  const controller = startEffect(element, mount, () =>
+    liquidEffect(canvas, {
+      imageUrl,
+      eventTarget: element,
+      sharedRenderer,
+      ...config,
+    })
+  );
+  if (!controller) return;
+
+  registerEffect(element, mount, controller);
+
+  if (config && config.debug === true) {
+    const currentOptions = { ...config };
+    const update = () => controller.setOptions(currentOptions);
+    createDatGuiForProgrammatic("liquid", currentOptions, update);
   }
 }
 
@@ -121,92 +393,80 @@ function initRealisticEffect(element, index) {
     return;
   }
 
-  const canvas = createCanvas(element);
-  if (!canvas) return;
-  const rect = element.getBoundingClientRect();
   const config = getConfigFromAttributes(element, "realistic");
+  const sharedRenderer = useSharedRenderer();
+  const mount = mountCanvas(element, getMountMode(element));
+  if (!mount) return;
+  const { canvas } = mount;
+  const rect = element.getBoundingClientRect();
 
-  let dispose = realisticEffect(canvas, {
-    imageUrl,
-    width: Math.min(rect.width || 400, 384),
-    height: Math.min(rect.height || 300, 288),
-    ...mapAdvancedFilterConfig(config),
-    ...config,
-  });
+  const controller = startEffect(element, mount, () =>
+    realisticEffect(canvas, {
+      imageUrl,
+      eventTarget: element,
+      width: Math.min(rect.width || 400, 384),
+      height: Math.min(rect.height || 300, 288),
+      sharedRenderer,
+      ...mapAdvancedFilterConfig(config),
+      ...config,
+    })
+  );
+  if (!controller) return;
 
-  activeEffects.set(element, dispose);
+  registerEffect(element, mount, controller);
 
   if (config && config.debug === true) {
-    let currentOptions = { ...config };
-    const recreate = () => {
-      if (dispose) dispose();
-      dispose = realisticEffect(canvas, {
-        imageUrl,
-        width: Math.min(rect.width || 400, 384),
-        height: Math.min(rect.height || 300, 288),
-        ...mapAdvancedFilterConfig(currentOptions),
-        ...currentOptions,
-      });
-      activeEffects.set(element, dispose);
-    };
-    createDatGuiForProgrammatic("realistic", currentOptions, recreate);
+    const currentOptions = { ...config };
+    const update = () => controller.setOptions(currentOptions);
+    createDatGuiForProgrammatic("realistic", currentOptions, update);
   }
 }
 
 function initGlitchEffect(element, index) {
   const config = getConfigFromAttributes(element, "glitch");
+  const sharedRenderer = useSharedRenderer();
 
   if (element.tagName.toLowerCase() === "video") {
     const videoElement = element;
     const initVideo = () => {
-      const canvas = document.createElement("canvas");
-      const rect = videoElement.getBoundingClientRect();
-      const w = videoElement.videoWidth || rect.width || 640;
-      const h = videoElement.videoHeight || rect.height || 480;
-      canvas.width = w;
-      canvas.height = h;
-      canvas.style.width = videoElement.style.width || "100%";
-      canvas.style.height = videoElement.style.height || "100%";
-      canvas.style.display = "block";
-      canvas.style.objectFit = videoElement.style.objectFit || "cover";
-      const styles = window.getComputedStyle(videoElement);
-      canvas.style.borderRadius = styles.borderRadius;
-      canvas.style.border = styles.border;
-      canvas.style.boxShadow = styles.boxShadow;
-      videoElement.style.position = "absolute";
-      videoElement.style.opacity = "0";
-      videoElement.style.pointerEvents = "none";
-      videoElement.style.width = "1px";
-      videoElement.style.height = "1px";
-      videoElement.parentNode.insertBefore(canvas, videoElement);
-
-      let dispose = glitchEffect(canvas, { videoElement, ...config });
-      activeEffects.set(element, dispose);
+      if (activeEffects.has(element)) return;
+      cancelPending();
+      const mount = mountCanvas(videoElement, getMountMode(videoElement));
+      if (!mount) return;
+      const { canvas } = mount;
+
+      const controller = startEffect(element, mount, () =>
+        glitchEffect(canvas, {
+          videoElement,
+          eventTarget: element,
+          sharedRenderer,
+          ...config,
+        })
+      );
+      if (!controller) return;
+      registerEffect(element, mount, controller);
 
       if (config && config.debug === true) {
-        let currentOptions = { ...config };
-        const recreate = () => {
-          if (dispose) dispose();
-          dispose = glitchEffect(canvas, { videoElement, ...currentOptions });
-          activeEffects.set(element, dispose);
-        };
-        createDatGuiForProgrammatic("glitch", currentOptions, recreate);
+        const currentOptions = { ...config };
+        const update = () => controller.setOptions(currentOptions);
+        createDatGuiForProgrammatic("glitch", currentOptions, update);
       }
     };
 
+    const cancelPending = () => {
+      videoElement.removeEventListener("loadedmetadata", initVideo);
+      videoElement.removeEventListener("loadeddata", initVideo);
+      pendingElements.delete(element);
+    };
+
     if (videoElement.readyState >= 2) {
       initVideo();
     } else {
+      pendingElements.set(element, cancelPending);
       videoElement.addEventListener("loadedmetadata", initVideo, {
         once: true,
       });
-      videoElement.addEventListener(
-        "loadeddata",
-        () => {
-          if (!activeEffects.has(element)) initVideo();
-        },
-        { once: true }
-      );
+      videoElement.addEventListener("loadeddata", initVideo, { once: true });
     }
   } else {
     const imageUrl = getImageUrl(element);
@@ -214,19 +474,24 @@ function initGlitchEffect(element, index) {
       console.warn(`kxxxr-glitch: No image found for element ${index}`);
       return;
     }
-    const canvas = createCanvas(element);
-    if (!canvas) return;
-    let dispose = glitchEffect(canvas, { imageUrl, ...config });
-    activeEffects.set(element, dispose);
+    const mount = mountCanvas(element, getMountMode(element));
+    if (!mount) return;
+    const { canvas } = mount;
+    const controller = startEffect(element, mount, () =>
+      glitchEffect(canvas, {
+        imageUrl,
+        eventTarget: element,
+        sharedRenderer,
+        ...config,
+      })
+    );
+    if (!controller) return;
+    registerEffect(element, mount, controller);
 
     if (config && config.debug === true) {
-      let currentOptions = { ...config };
-      const recreate = () => {
-        if (dispose) dispose();
-        dispose = glitchEffect(canvas, { imageUrl, ...currentOptions });
-        activeEffects.set(element, dispose);
-      };
-      createDatGuiForProgrammatic("glitch", currentOptions, recreate);
+      const currentOptions = { ...config };
+      const update = () => controller.setOptions(currentOptions);
+      createDatGuiForProgrammatic("glitch", currentOptions, update);
     }
   }
 }
@@ -243,40 +508,43 @@ function initFluidEffect(element, index) {
     - data-image attribute`);
     return;
   }
-  const canvas = createCanvas(element);
-  if (!canvas) return;
-  const rect = element.getBoundingClientRect();
   const config = getConfigFromAttributes(element, "fluid");
+  const sharedRenderer = useSharedRenderer();
+  const mount = mountCanvas(element, getMountMode(element));
+  if (!mount) return;
+  const { canvas } = mount;
+  const rect = element.getBoundingClientRect();
   const backImageUrl =
     element.getAttribute("data-back") ||
     element.getAttribute("data-back-image") ||
     (element.dataset
       ? element.dataset.back || element.dataset.backImage
       : null);
-
-  let dispose = fluidEffect(canvas, {
-    imageUrl,
-    backImageUrl,
-    width: rect.width || 512,
-    height: rect.height || 384,
-    ...config,
-  });
-  activeEffects.set(element, dispose);
+  // data-back="b.jpg,c.jpg" stacks several layers behind the image
+  const backImages = backImageUrl ? splitUrls(backImageUrl) : [];
+  const layers =
+    backImages.length > 1
+      ? { images: [imageUrl, ...backImages] }
+      : { backImageUrl: backImages[0] || null };
+
+  const controller = startEffect(element, mount, () =>
+    fluidEffect(canvas, {
+      imageUrl,
+      eventTarget: element,
+      ...layers,
+      width: rect.width || 512,
+      height: rect.height || 384,
+      sharedRenderer,
+      ...config,
+    })
+  );
+  if (!controller) return;
+  registerEffect(element, mount, controller);
 
   if (config && config.debug === true) {
-    let currentOptions = { ...config };
-    const recreate = () => {
-      if (dispose) dispose();
-      dispose = fluidEffect(canvas, {
-        imageUrl,
-        backImageUrl,
-        width: rect.width || 512,
-        height: rect.height || 384,
-        ...currentOptions,
-      });
-      activeEffects.set(element, dispose);
-    };
-    createDatGuiForProgrammatic("fluid", currentOptions, recreate);
+    const currentOptions = { ...config };
+    const update = () => controller.setOptions(currentOptions);
+    createDatGuiForProgrammatic("fluid", currentOptions, update);
   }
 }
 
@@ -565,7 +833,7 @@ function drawSVGContentSync(ctx, element, width, height) {
 }
 
 /**
- * Create canvas element and replace original element
+ * Create a canvas sized and styled like the element it replaces
  */
 function createCanvas(element) {
   const rect = element.getBoundingClientRect();
@@ -602,10 +870,135 @@ function createCanvas(element) {
   canvas.style.margin = styles.margin;
   canvas.style.padding = styles.padding;
 
-  // Replace element with canvas
+  return canvas;
+}
+
+/**
+ * Mounting mode an element asks for via `data-mount`, else the page default
+ */
+function getMountMode(element) {
+  return element.getAttribute("data-mount") || settings.mount;
+}
+
+/**
+ * Put a canvas on the page for an element without losing the original:
+ * - "replace": the canvas takes the element's place (videos stay in the DOM,
+ *   hidden, so they keep playing)
+ * - "overlay": the canvas is laid over the untouched element
+ * @returns {{ canvas: HTMLCanvasElement, restore: () => boolean, detached: () => boolean }|null}
+ *  restore() puts back the original DOM and inline styles, and returns
+ *  whether it re-inserted the element
+ */
+function mountCanvas(element, mode = settings.mount) {
+  if (!element.parentNode) return null;
+  if (mode === "overlay") return overlayCanvas(element);
+  if (element.tagName.toLowerCase() === "video")
+    return hideVideoBehindCanvas(element);
+
+  const canvas = createCanvas(element);
   element.parentNode.replaceChild(canvas, element);
+  return {
+    canvas,
+    restore() {
+      if (!canvas.parentNode) return false;
+      canvas.parentNode.replaceChild(element, canvas);
+      return true;
+    },
+    detached: () => !canvas.isConnected,
+  };
+}
 
-  return canvas;
+function hideVideoBehindCanvas(videoElement) {
+  const canvas = document.createElement("canvas");
+  const rect = videoElement.getBoundingClientRect();
+  const w = videoElement.videoWidth || rect.width || 640;
+  const h = videoElement.videoHeight || rect.height || 480;
+  canvas.width = w;
+  canvas.height = h;
+  canvas.style.width = videoElement.style.width || "100%";
+  canvas.style.height = videoElement.style.height || "100%";
+  canvas.style.display = "block";
+  canvas.style.objectFit = videoElement.style.objectFit || "cover";
+  const styles = window.getComputedStyle(videoElement);
+  canvas.style.borderRadius = styles.borderRadius;
+  canvas.style.border = styles.border;
+  canvas.style.boxShadow = styles.boxShadow;
+
+  const videoStyle = videoElement.getAttribute("style");
+  videoElement.style.position = "absolute";
+  videoElement.style.opacity = "0";
+  videoElement.style.pointerEvents = "none";
+  videoElement.style.width = "1px";
+  videoElement.style.height = "1px";
+  videoElement.parentNode.insertBefore(canvas, videoElement);
+
+  return {
+    canvas,
+    restore() {
+      canvas.remove();
+      if (videoStyle === null) videoElement.removeAttribute("style");
+      else videoElement.setAttribute("style", videoStyle);
+      return false;
+    },
+    detached: () => !canvas.isConnected,
+  };
+}
+
+function overlayCanvas(element) {
+  const canvas = document.createElement("canvas");
+  const styles = window.getComputedStyle(element);
+  canvas.style.position = "absolute";
+  canvas.style.boxSizing = "border-box";
+  canvas.style.borderRadius = styles.borderRadius;
+  canvas.style.border = styles.border;
+  if (styles.zIndex !== "auto") canvas.style.zIndex = styles.zIndex;
+  element.parentNode.insertBefore(canvas, element.nextSibling);
+
+  // Follow the element's border box, relative to the canvas' containing block
+  function place() {
+    const rect = element.getBoundingClientRect();
+    const host = containingBlock(canvas);
+    let left = rect.left + window.scrollX;
+    let top = rect.top + window.scrollY;
+    if (host) {
+      const hostRect = host.getBoundingClientRect();
+      left = rect.left - hostRect.left - host.clientLeft + host.scrollLeft;
+      top = rect.top - hostRect.top - host.clientTop + host.scrollTop;
+    }
+    canvas.style.left = `${left}px`;
+    canvas.style.top = `${top}px`;
+    canvas.style.width = `${rect.width}px`;
+    canvas.style.height = `${rect.height}px`;
+  }
+  place();
+  const resizeObserver =
+    typeof ResizeObserver !== "undefined" ? new ResizeObserver(place) : null;
+  if (resizeObserver) resizeObserver.observe(element);
+  window.addEventListener("resize", place);
+
+  return {
+    canvas,
+    restore() {
+      if (resizeObserver) resizeObserver.disconnect();
+      window.removeEventListener("resize", place);
+      canvas.remove();
+      return false;
+    },
+    detached: () => !canvas.isConnected || !element.isConnected,
+  };
+}
+
+// Nearest ancestor that absolutely positioned children are placed against
+function containingBlock(node) {
+  for (
+    let el = node.parentElement;
+    el && el !== document.documentElement;
+    el = el.parentElement
+  ) {
+    const styles = window.getComputedStyle(el);
+    if (styles.position !== "static" || styles.transform !== "none") return el;
+  }
+  return null;
 }
 
 /**
@@ -617,7 +1010,7 @@ function getConfigFromAttributes(element, effectType) {
   // Parse data attributes
   Object.keys(config).forEach((key) => {
     // support data-camel and data-kebab
-    const kebab = key.replace(/([a-z])([A-Z])/g, "$1-$2").toLowerCase();
+    const kebab = key.replace(/([a-z0-9])([A-Z])/g, "$1-$2").toLowerCase();
     const candidates = [`data-${key}`, `data-${kebab}`];
     let value = null;
     for (const name of candidates) {
@@ -632,8 +1025,9 @@ function getConfigFromAttributes(element, effectType) {
       if (value === "true" || value === "false") {
         config[key] = value === "true";
       }
-      // Color strings (#rrggbb or rgb/rgba) should remain strings
-      else if (/^#|^rgb\(/i.test(value)) {
+      // Color strings (#rrggbb or rgb/rgba) and comma-separated lists
+      // (e.g. light directions) should remain strings
+      else if (/^#|^rgb\(|,/i.test(value)) {
         config[key] = value;
       } else {
         const numValue = parseFloat(value);
@@ -642,20 +1036,101 @@ function getConfigFromAttributes(element, effectType) {
     }
   });
 
+  Object.assign(config, getFitFromElement(element));
+
   // Debug flag via data-debug
   const dbg = element.getAttribute("data-debug");
   if (dbg === "true") config.debug = true;
   return config;
 }
 
+/**
+ * Split a comma-separated list of URLs. The comma that ends the header of a
+ * data: URI ("data:image/png;base64,...") stays with it.
+ */
+function splitUrls(value) {
+  const urls = [];
+  value.split(",").forEach((part) => {
+    const last = urls[urls.length - 1];
+    if (last && /^data:[^,]*$/.test(last)) {
+      urls[urls.length - 1] = `${last},${part.trim()}`;
+    } else {
+      urls.push(part.trim());
+    }
+  });
+  return urls.filter(Boolean);
+}
+
+const FITS = ["fill", "cover", "contain"];
+
+/**
+ * `fit`/`position` for an element: data-fit/data-position, else the computed
+ * object-fit/object-position (img, video) or background-size/background-position.
+ * Call it before the element is replaced, while its styles still resolve.
+ * The initial `fill`, `auto` and `0% 0%` values are skipped so effect
+ * defaults apply.
+ */
+function getFitFromElement(element) {
+  const fit = {};
+  const style = window.getComputedStyle(element);
+  const background = style.backgroundImage;
+  if (!element.src && background && background !== "none") {
+    const size = style.backgroundSize;
+    if (size === "cover" || size === "contain") fit.fit = size;
+    else if (size === "100% 100%") fit.fit = "fill";
+    // Only the first layer of a multi-background is used
+    const position = style.backgroundPosition.split(",")[0];
+    if (position && position !== "0% 0%") fit.position = position;
+  } else if (element.src) {
+    if (style.objectFit === "cover" || style.objectFit === "contain") {
+      fit.fit = style.objectFit;
+    } else if (style.objectFit === "scale-down") {
+      fit.fit = "contain";
+    }
+    if (style.objectPosition) fit.position = style.objectPosition;
+  }
+  const { fit: dataFit, position: dataPosition } = element.dataset;
+  if (FITS.includes(dataFit)) fit.fit = dataFit;
+  if (dataPosition) fit.position = dataPosition;
+  return fit;
+}
+
 /**
  * Cleanup all effects
  */
 function cleanupKxxxrEffects() {
-  activeEffects.forEach((dispose, element) => {
-    dispose();
-  });
-  activeEffects.clear();
+  activeEffects.forEach((controller, element) => disposeEffect(element));
+  pendingElements.forEach((cancel) => cancel());
+  pendingElements.clear();
+  unsupportedElements.forEach((element) =>
+    element.classList.remove("kxxxr-unsupported")
+  );
+  unsupportedElements.clear();
+}
+
+/**
+ * Update page-wide settings (e.g. `{ sharedRenderer: true, observe: true }`).
+ * Applies to effects created afterwards.
+ */
+function configureKxxxrEffects(options = {}) {
+  Object.assign(settings, options);
+  // Unlike the other settings this one also updates running effects
+  if (options.reducedMotion !== undefined)
+    setReducedMotion(settings.reducedMotion);
+  if (!settings.observe) stopObserving();
+  // Before DOMContentLoaded, initKxxxrEffects starts the observer itself
+  else if (document.readyState !== "loading") startObserving();
+  return { ...settings };
+}
+
+/**
+ * Whether the next effect should render through the shared WebGL context
+ */
+function useSharedRenderer() {
+  if (settings.sharedRenderer !== "auto")
+    return settings.sharedRenderer === true;
+  const pending = document.querySelectorAll(EFFECT_SELECTOR).length;
+  return pending + activeEffects.size > SHARED_RENDERER_THRESHOLD;
 }
 
 /**
@@ -674,7 +1149,12 @@ if (document.readyState === "loading") {
 }
 
 // Export for manual control
-export { initKxxxrEffects, cleanupKxxxrEffects, reinitKxxxrEffects };
+export {
+  initKxxxrEffects,
+  cleanupKxxxrEffects,
+  reinitKxxxrEffects,
+  configureKxxxrEffects,
+};
 
 // Helpers to map string colors to THREE.Color-compatible uniforms
 function parseCssColorToLinear(color) {
@@ -711,14 +1191,14 @@ function mapAdvancedFilterConfig(c) {
 }
 
 // Helpers: dat.gui debug for programmatic API (only if CDN dat.gui is present)
-function createDatGuiForProgrammatic(effectType, optionsRef, recreate) {
+function createDatGuiForProgrammatic(effectType, optionsRef, update) {
   if (typeof window === "undefined" || !window.dat || !window.dat.GUI)
     return null;
   if (optionsRef && optionsRef.__gui) return optionsRef.__gui;
   const gui = new window.dat.GUI({ name: `kxxxr ${effectType}` });
   const addNum = (obj, key, min, max, step) =>
-    gui.add(obj, key, min, max).step(step).onChange(recreate);
-  const addBool = (obj, key) => gui.add(obj, key).onChange(recreate);
+    gui.add(obj, key, min, max).step(step).onChange(update);
+  const addBool = (obj, key) => gui.add(obj, key).onChange(update);
 
   if (effectType === "ripple") {
     addNum(optionsRef, "strength", 0, 1.5, 0.01);
@@ -726,8 +1206,25 @@ function createDatGuiForProgrammatic(effectType, optionsRef, recreate) {
     addNum(optionsRef, "pulseSpeed", 0, 5, 0.1);
     addNum(optionsRef, "decay", 0.1, 5, 0.1);
     addNum(optionsRef, "frequency", 1, 60, 1);
+    addNum(optionsRef, "spawnInterval", 0, 0.5, 0.01);
+    addNum(optionsRef, "rainRate", 0, 20, 0.1);
+    addNum(optionsRef, "rainStrengthMin", 0, 2, 0.05);
+    addNum(optionsRef, "rainStrengthMax", 0, 2, 0.05);
+    addNum(optionsRef, "rainSizeMin", 0.05, 2, 0.05);
+    addNum(optionsRef, "rainSizeMax", 0.05, 2, 0.05);
+  }
+  if (effectType === "liquid") {
+    addNum(optionsRef, "amplitude", 0, 3, 0.05);
+    [1, 2, 3].forEach((n) => {
+      addNum(optionsRef, `wave${n}Amplitude`, 0, 0.5, 0.01);
+      addNum(optionsRef, `wave${n}Speed`, 0, 5, 0.05);
+      addNum(optionsRef, `wave${n}Frequency`, 0, 10, 0.1);
+    });
   }
   if (effectType === "realistic") {
+    gui
+      .add(optionsRef, "quality", ["low", "medium", "high", "auto"])
+      .onChange(update);
     addNum(optionsRef, "simulationSpeed", 0.1, 5, 0.1);
     addNum(optionsRef, "effectRadius", 1, 120, 1);
     addNum(optionsRef, "headStrength", 0, 2, 0.05);
@@ -738,6 +1235,10 @@ function createDatGuiForProgrammatic(effectType, optionsRef, recreate) {
     addNum(optionsRef, "saturation", 0, 2, 0.05);
     addNum(optionsRef, "brightness", 0, 3, 0.05);
     addNum(optionsRef, "shadowIntensity", -1, 1, 0.05);
+    addNum(optionsRef, "specularPower", 1, 200, 1);
+    addNum(optionsRef, "caustics", 0, 3, 0.05);
+    addNum(optionsRef, "causticsDepth", 0, 10, 0.1);
+    addNum(optionsRef, "windGusts", 0, 40, 1);
   }
   if (effectType === "glitch") {
     addNum(optionsRef, "speed", 0, 60, 0.1);
@@ -765,6 +1266,12 @@ function createDatGuiForProgrammatic(effectType, optionsRef, recreate) {
     addNum(optionsRef, "decay", 0.5, 0.999, 0.001);
     addNum(optionsRef, "threshold", 0, 0.2, 0.001);
     addNum(optionsRef, "edgeWidth", 0, 0.02, 0.0005);
+    if (optionsRef.mode === "navier-stokes") {
+      addNum(optionsRef, "vorticity", 0, 50, 1);
+      addNum(optionsRef, "pressureIterations", 1, 60, 1);
+      addNum(optionsRef, "velocityDecay", 0.9, 1, 0.001);
+      addNum(optionsRef, "force", 0, 5, 0.1);
+    }
   }
 
   optionsRef.__gui = gui;
@@ -777,7 +1284,7 @@ function rippleEffect(selector, options = {}) {
     typeof selector === "string"
       ? document.querySelectorAll(selector)
       : [selector];
-  const disposes = [];
+  const mounted = [];
 
   elements.forEach((element) => {
     const imageUrl = getImageUrl(element);
@@ -786,27 +1293,94 @@ function rippleEffect(selector, options = {}) {
       return;
     }
 
-    const canvas = createCanvas(element);
-    if (!canvas) return;
+    if (!ensureWebGL(element, options.onUnsupported)) return;
+    const fitConfig = getFitFromElement(element);
+    const sharedRenderer = useSharedRenderer();
+    const mount = mountCanvas(element, options.mount);
+    if (!mount) return;
+    const { canvas } = mount;
+
+    const currentOptions = {
+      ...DEFAULT_CONFIGS.ripple,
+      sharedRenderer,
+      ...fitConfig,
+      ...options,
+    };
+    const controller = startEffect(
+      element,
+      mount,
+      () =>
+        waterHoverEffect(canvas, {
+          imageUrl,
+          eventTarget: element,
+          ...currentOptions,
+        }),
+      options.onUnsupported
+    );
+    if (!controller) return;
+
+    if (options && options.debug === true) {
+      const update = () => controller.setOptions(currentOptions);
+      createDatGuiForProgrammatic("ripple", currentOptions, update);
+    }
+
+    mounted.push(element);
+    registerEffect(element, mount, controller);
+  });
+
+  return () => mounted.forEach(disposeEffect);
+}
+
+function liquidEffectSimple(selector, options = {}) {
+  const elements =
+    typeof selector === "string"
+      ? document.querySelectorAll(selector)
+      : [selector];
+  const mounted = [];
 
-    let currentOptions = { ...DEFAULT_CONFIGS.ripple, ...options };
-    let dispose = waterHoverEffect(canvas, { imageUrl, ...currentOptions });
+  elements.forEach((element) => {
+    const imageUrl = getImageUrl(element);
+    if (!imageUrl) {
+      console.warn("kxxxr.liquidEffect: No image found for element");
+      return;
+    }
 
-    const recreate = () => {
-      if (dispose) dispose();
-      dispose = waterHoverEffect(canvas, { imageUrl, ...currentOptions });
-      activeEffects.set(element, dispose);
+    if (!ensureWebGL(element, options.onUnsupported)) return;
+    const fitConfig = getFitFromElement(element);
+    const sharedRenderer = useSharedRenderer();
+    const mount = mountCanvas(element, options.mount);
+    if (!mount) return;
+    const { canvas } = mount;
+
+    const currentOptions = {
+      ...DEFAULT_CONFIGS.liquid,
+      sharedRenderer,
+      ...fitConfig,
+      ...options,
     };
+    const controller = startEffect(
+      element,
+      mount,
+      () =>
+        liquidEffect(canvas, {
+          imageUrl,
+          eventTarget: element,
+          ...currentOptions,
+        }),
+      options.onUnsupported
+    );
+    if (!controller) return;
 
     if (options && options.debug === true) {
-      createDatGuiForProgrammatic("ripple", currentOptions, recreate);
+      const update = () => controller.setOptions(currentOptions);
+      createDatGuiForProgrammatic("liquid", currentOptions, update);
     }
 
-    disposes.push(dispose);
-    activeEffects.set(element, dispose);
+    mounted.push(element);
+    registerEffect(element, mount, controller);
   });
 
-  return () => disposes.forEach((dispose) => dispose());
+  return () => mounted.forEach(disposeEffect);
 }
 
 function realisticEffectSimple(selector, options = {}) {
@@ -814,7 +1388,7 @@ function realisticEffectSimple(selector, options = {}) {
     typeof selector === "string"
       ? document.querySelectorAll(selector)
       : [selector];
-  const disposes = [];
+  const mounted = [];
 
   elements.forEach((element) => {
     const imageUrl = getImageUrl(element);
@@ -823,41 +1397,47 @@ function realisticEffectSimple(selector, options = {}) {
       return;
     }
 
-    const canvas = createCanvas(element);
-    if (!canvas) return;
+    if (!ensureWebGL(element, options.onUnsupported)) return;
+    const fitConfig = getFitFromElement(element);
+    const sharedRenderer = useSharedRenderer();
+    const mount = mountCanvas(element, options.mount);
+    if (!mount) return;
+    const { canvas } = mount;
 
     const rect = element.getBoundingClientRect();
-    let currentOptions = { ...DEFAULT_CONFIGS.realistic, ...options };
-
-    let dispose = realisticEffect(canvas, {
-      imageUrl,
-      width: Math.min(rect.width || 400, 384),
-      height: Math.min(rect.height || 300, 288),
-      ...mapAdvancedFilterConfig(currentOptions),
-      ...currentOptions,
-    });
-
-    const recreate = () => {
-      if (dispose) dispose();
-      dispose = realisticEffect(canvas, {
-        imageUrl,
-        width: Math.min(rect.width || 400, 384),
-        height: Math.min(rect.height || 300, 288),
-        ...mapAdvancedFilterConfig(currentOptions),
-        ...currentOptions,
-      });
-      activeEffects.set(element, dispose);
+    const currentOptions = {
+      ...DEFAULT_CONFIGS.realistic,
+      sharedRenderer,
+      ...fitConfig,
+      ...options,
     };
 
+    const controller = startEffect(
+      element,
+      mount,
+      () =>
+        realisticEffect(canvas, {
+          imageUrl,
+          eventTarget: element,
+          width: Math.min(rect.width || 400, 384),
+          height: Math.min(rect.height || 300, 288),
+          ...mapAdvancedFilterConfig(currentOptions),
+          ...currentOptions,
+        }),
+      options.onUnsupported
+    );
+    if (!controller) return;
+
     if (options && options.debug === true) {
-      createDatGuiForProgrammatic("realistic", currentOptions, recreate);
+      const update = () => controller.setOptions(currentOptions);
+      createDatGuiForProgrammatic("realistic", currentOptions, update);
     }
 
-    disposes.push(dispose);
-    activeEffects.set(element, dispose);
+    mounted.push(element);
+    registerEffect(element, mount, controller);
   });
 
-  return () => disposes.forEach((dispose) => dispose());
+  return () => mounted.forEach(disposeEffect);
 }
 
 function glitchEffectSimple(selector, options = {}) {
@@ -865,32 +1445,47 @@ function glitchEffectSimple(selector, options = {}) {
     typeof selector === "string"
       ? document.querySelectorAll(selector)
       : [selector];
-  const disposes = [];
+  const mounted = [];
   elements.forEach((element) => {
     const imageUrl = getImageUrl(element);
     if (!imageUrl) {
       console.warn("kxxxr.glitchEffect: No image found for element");
       return;
     }
-    const canvas = createCanvas(element);
-    if (!canvas) return;
-    let currentOptions = { ...DEFAULT_CONFIGS.glitch, ...options };
-    let dispose = glitchEffect(canvas, { imageUrl, ...currentOptions });
-
-    const recreate = () => {
-      if (dispose) dispose();
-      dispose = glitchEffect(canvas, { imageUrl, ...currentOptions });
-      activeEffects.set(element, dispose);
+    if (!ensureWebGL(element, options.onUnsupported)) return;
+    const fitConfig = getFitFromElement(element);
+    const sharedRenderer = useSharedRenderer();
+    const mount = mountCanvas(element, options.mount);
+    if (!mount) return;
+    const { canvas } = mount;
+    const currentOptions = {
+      ...DEFAULT_CONFIGS.glitch,
+      sharedRenderer,
+      ...fitConfig,
+      ...options,
     };
+    const controller = startEffect(
+      element,
+      mount,
+      () =>
+        glitchEffect(canvas, {
+          imageUrl,
+          eventTarget: element,
+          ...currentOptions,
+        }),
+      options.onUnsupported
+    );
+    if (!controller) return;
 
     if (options && options.debug === true) {
-      createDatGuiForProgrammatic("glitch", currentOptions, recreate);
+      const update = () => controller.setOptions(currentOptions);
+      createDatGuiForProgrammatic("glitch", currentOptions, update);
     }
 
-    disposes.push(dispose);
-    activeEffects.set(element, dispose);
+    mounted.push(element);
+    registerEffect(element, mount, controller);
   });
-  return () => disposes.forEach((dispose) => dispose());
+  return () => mounted.forEach(disposeEffect);
 }
 
 function fluidEffectSimple(selector, options = {}) {
@@ -898,45 +1493,51 @@ function fluidEffectSimple(selector, options = {}) {
     typeof selector === "string"
       ? document.querySelectorAll(selector)
       : [selector];
-  const disposes = [];
+  const mounted = [];
   elements.forEach((element) => {
     const imageUrl = getImageUrl(element);
     if (!imageUrl) {
       console.warn("kxxxr.fluidEffect: No image found for element");
       return;
     }
-    const canvas = createCanvas(element);
-    if (!canvas) return;
+    if (!ensureWebGL(element, options.onUnsupported)) return;
+    const fitConfig = getFitFromElement(element);
+    const sharedRenderer = useSharedRenderer();
+    const mount = mountCanvas(element, options.mount);
+    if (!mount) return;
+    const { canvas } = mount;
     const rect = element.getBoundingClientRect();
-    let currentOptions = { ...DEFAULT_CONFIGS.fluid, ...options };
-    let dispose = fluidEffect(canvas, {
-      imageUrl,
-      backImageUrl: options.backImageUrl,
-      width: rect.width || 512,
-      height: rect.height || 384,
-      ...currentOptions,
-    });
-
-    const recreate = () => {
-      if (dispose) dispose();
-      dispose = fluidEffect(canvas, {
-        imageUrl,
-        backImageUrl: options.backImageUrl,
-        width: rect.width || 512,
-        height: rect.height || 384,
-        ...currentOptions,
-      });
-      activeEffects.set(element, dispose);
+    const currentOptions = {
+      ...DEFAULT_CONFIGS.fluid,
+      sharedRenderer,
+      ...fitConfig,
+      ...options,
     };
+    const controller = startEffect(
+      element,
+      mount,
+      () =>
+        fluidEffect(canvas, {
+          imageUrl,
+          eventTarget: element,
+          backImageUrl: options.backImageUrl,
+          width: rect.width || 512,
+          height: rect.height || 384,
+          ...currentOptions,
+        }),
+      options.onUnsupported
+    );
+    if (!controller) return;
 
     if (options && options.debug === true) {
-      createDatGuiForProgrammatic("fluid", currentOptions, recreate);
+      const update = () => controller.setOptions(currentOptions);
+      createDatGuiForProgrammatic("fluid", currentOptions, update);
     }
 
-    disposes.push(dispose);
-    activeEffects.set(element, dispose);
+    mounted.push(element);
+    registerEffect(element, mount, controller);
   });
-  return () => disposes.forEach((dispose) => dispose());
+  return () => mounted.forEach(disposeEffect);
 }
 
 // Make available globally for CDN usage
@@ -945,14 +1546,17 @@ if (typeof window !== "undefined") {
     init: initKxxxrEffects,
     cleanup: cleanupKxxxrEffects,
     reinit: reinitKxxxrEffects,
+    configure: configureKxxxrEffects,
     // Simple API methods
     rippleEffect,
+    liquidEffect: liquidEffectSimple,
     realisticEffect: realisticEffectSimple,
     glitchEffect: glitchEffectSimple,
     fluidEffect: fluidEffectSimple,
     // Legacy methods
     effects: {
       ripple: waterHoverEffect,
+      liquid: liquidEffect,
       realistic: realisticEffect,
       glitch: glitchEffect,
       fluid: fluidEffect,
@@ -0,0 +1,69 @@
+/**
+ * @typedef {(() => void) & {
+ *  setOptions: (partial:Object) => EffectController,
+ *  getOptions: () => Object,
+ *  pause: () => EffectController,
+ *  resume: () => EffectController,
+ *  dispose: () => void,
+ * }} EffectController
+ */
+
+/**
+ * Builds the handle returned by every effect factory. The handle is a function,
+ * so existing `dispose()` call sites keep working, with control methods on it.
+ * @param {Object} options - live option values; setOptions only updates keys it already has
+ * @param {{
+ *  apply: (changed:string[]) => void,
+ *  pause: () => void,
+ *  resume: () => void,
+ *  dispose: () => void,
+ * }} hooks
+ * @param {Object<string, Function>} [methods] - effect-specific actions (e.g. `drop`),
+ *  ignored once disposed and chainable like the built-in ones
+ * @returns {EffectController}
+ */
+export function createController(options, hooks, methods = {}) {
+  let disposed = false;
+
+  const controller = () => controller.dispose();
+
+  controller.setOptions = (partial = {}) => {
+    if (disposed) return controller;
+    const changed = [];
+    Object.keys(partial).forEach((key) => {
+      if (!(key in options) || partial[key] === undefined) return;
+      if (options[key] === partial[key]) return;
+      options[key] = partial[key];
+      changed.push(key);
+    });
+    if (changed.length) hooks.apply(changed);
+    return controller;
+  };
+
+  controller.getOptions = () => ({ ...options });
+
+  controller.pause = () => {
+    if (!disposed) hooks.pause();
+    return controller;
+  };
+
+  controller.resume = () => {
+    if (!disposed) hooks.resume();
+    return controller;
+  };
+
+  Object.keys(methods).forEach((name) => {
+    controller[name] = (...args) => {
+      if (!disposed) methods[name](...args);
+      return controller;
+    };
+  });
+
+  controller.dispose = () => {
+    if (disposed) return;
+    disposed = true;
+    hooks.dispose();
+  };
+
+  return controller;
+}
@@ -0,0 +1,89 @@
+import { createLoop } from "./loop.js";
+import { suspendWhenHidden } from "./visibility.js";
+import { createController } from "./controller.js";
+import { createEvents } from "./events.js";
+import { watchMotion } from "./motion.js";
+
+/**
+ * The lifecycle every effect factory shares: lifecycle events, the render
+ * loop (suspended while offscreen or hidden unless `pauseWhenHidden` is
+ * false), WebGL context loss, the reduced-motion watch, and the controller
+ * the factory returns. Hooks can be function declarations further down the
+ * factory: only `start()` sets anything running.
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} options - factory options; reads `pauseWhenHidden`,
+ *  `eventTarget` (default: the canvas) and the `on*` callbacks
+ * @param {{
+ *  render: (dt:number, now:number) => void,
+ *  apply: (changed:string[]) => void,
+ *  contextLost?: () => void,
+ *  contextRestored?: () => void,
+ *  dispose: () => void,
+ * }} hooks - `apply` runs on setOptions() and whenever the motion policy
+ *  changes; `contextLost` frees what the context took with it (the loop is
+ *  held until it comes back), `contextRestored` re-uploads; `dispose` frees
+ *  everything the factory created
+ * @returns {{
+ *  emit: (type:string, detail?:Object) => void,
+ *  readonly motion: { animate:boolean, intensity:number, flashes:boolean },
+ *  onContextLost: (e:Event) => void,
+ *  onContextRestored: (e:Event) => void,
+ *  start: (opts:Object, methods?:Object<string, Function>) => import("./controller.js").EffectController,
+ * }} `onContextLost`/`onContextRestored` go to createRenderer; `start` takes
+ *  the live option values setOptions() may change
+ */
+export function createEffect(canvas, options, hooks) {
+  const { pauseWhenHidden = true, eventTarget = canvas } = options;
+  const emit = createEvents(options, eventTarget);
+  const loop = createLoop((dt, now) => hooks.render(dt, now));
+  let motion = null;
+
+  function onContextLost(e) {
+    loop.hold("context-lost");
+    if (hooks.contextLost) hooks.contextLost();
+    emit("contextLost", { event: e });
+  }
+
+  function onContextRestored() {
+    if (hooks.contextRestored) hooks.contextRestored();
+    loop.release("context-lost");
+  }
+
+  function start(opts, methods) {
+    const unwatch = pauseWhenHidden
+      ? suspendWhenHidden(canvas, loop)
+      : () => {};
+    const unwatchMotion = watchMotion((next) => {
+      motion = next;
+      hooks.apply([]);
+    });
+    loop.start();
+
+    return createController(
+      opts,
+      {
+        apply: hooks.apply,
+        pause: loop.stop,
+        resume: loop.start,
+        dispose() {
+          unwatch();
+          unwatchMotion();
+          loop.stop();
+          hooks.dispose();
+          emit("dispose");
+        },
+      },
+      methods
+    );
+  }
+
+  return {
+    emit,
+    get motion() {
+      return motion;
+    },
+    onContextLost,
+    onContextRestored,
+    start,
+  };
+}
@@ -0,0 +1,22 @@
+/**
+ * Lifecycle events of an effect. Each event goes to the matching option
+ * callback (`ready` -> `onReady`) and is dispatched as a bubbling
+ * `kxxxr:<type>` CustomEvent on the target, with the same `detail`.
+ * @param {Object} options - effect options holding the `on*` callbacks
+ * @param {EventTarget|null} target - source element, or the effect canvas
+ * @returns {(type:string, detail?:Object) => void} emit
+ */
+export function createEvents(options, target) {
+  return function emit(type, detail = {}) {
+    const callback = options["on" + type[0].toUpperCase() + type.slice(1)];
+    if (typeof callback === "function") callback(detail);
+    if (target && typeof CustomEvent !== "undefined") {
+      target.dispatchEvent(
+        new CustomEvent(`kxxxr:${type.toLowerCase()}`, {
+          detail,
+          bubbles: true,
+        })
+      );
+    }
+  };
+}
@@ -0,0 +1,74 @@
+const FIT_MODES = { fill: 0, cover: 1, contain: 2 };
+const KEYWORDS = { left: 0, top: 0, center: 0.5, right: 1, bottom: 1 };
+
+/**
+ * GLSL for the `fit` and `position` options, shared by every effect that
+ * samples an image. `fitUV` maps a canvas UV to the image UV the way CSS
+ * `object-fit` / `object-position` would place the image; `fitMask` is 0
+ * where a contained image leaves the canvas empty.
+ */
+export const FIT_GLSL = `
+  uniform float uFit; // 0 = fill, 1 = cover, 2 = contain
+  uniform vec2 uFitPosition; // 0..1 from the top-left, like object-position
+
+  vec2 fitUV(vec2 uv, vec2 viewSize, vec2 imageSize) {
+    if (uFit < 0.5 || imageSize.x < 1.0 || imageSize.y < 1.0) return uv;
+    if (viewSize.x < 1.0 || viewSize.y < 1.0) return uv;
+    float viewAspect = viewSize.x / viewSize.y;
+    float imageAspect = imageSize.x / imageSize.y;
+    // Size of the placed image, relative to the canvas
+    vec2 size = (viewAspect > imageAspect) == (uFit > 1.5)
+      ? vec2(imageAspect / viewAspect, 1.0)
+      : vec2(1.0, viewAspect / imageAspect);
+    vec2 offset = (1.0 - size) * vec2(uFitPosition.x, 1.0 - uFitPosition.y);
+    return (uv - offset) / size;
+  }
+
+  float fitMask(vec2 imageUv) {
+    if (uFit < 1.5) return 1.0;
+    vec2 inside = step(vec2(0.0), imageUv) * step(imageUv, vec2(1.0));
+    return inside.x * inside.y;
+  }
+`;
+
+/**
+ * Uniform value for a `fit` option: "fill" | "cover" | "contain".
+ * @param {string} fit
+ * @param {string} [fallback] - used for unknown values
+ * @returns {number}
+ */
+export function fitMode(fit, fallback = "fill") {
+  if (fit in FIT_MODES) return FIT_MODES[fit];
+  console.warn(`kxxxr: unknown fit "${fit}", using "${fallback}"`);
+  return FIT_MODES[fallback];
+}
+
+// "30%" -> 0.3, keywords by name; other lengths can't be resolved without
+// the image size, so they fall back to the center (except 0)
+function positionValue(token) {
+  if (token in KEYWORDS) return KEYWORDS[token];
+  const value = parseFloat(token);
+  if (isNaN(value)) return 0.5;
+  if (token.endsWith("%")) return value / 100;
+  return value === 0 ? 0 : 0.5;
+}
+
+/**
+ * Parses a `position` option like CSS `object-position` ("center",
+ * "left top", "30% 80%") or an [x, y] pair in 0..1 from the top-left.
+ * @param {string|number[]} position
+ * @returns {[number, number]}
+ */
+export function parsePosition(position) {
+  if (Array.isArray(position)) return [position[0], position[1]];
+  const tokens = String(position || "center")
+    .trim()
+    .toLowerCase()
+    .split(/\s+/);
+  let [x, y = "center"] = tokens;
+  // A single vertical keyword, or a vertical keyword first ("top left")
+  if (x === "top" || x === "bottom" || y === "left" || y === "right") {
+    [x, y] = [y, x];
+  }
+  return [positionValue(x), positionValue(y)];
+}
@@ -0,0 +1,82 @@
+// Longest step handed to a frame; avoids huge jumps after a stall
+const MAX_DELTA = 0.1;
+
+/**
+ * requestAnimationFrame loop that can be held for any number of reasons
+ * ("stopped", "offscreen", "hidden", ...) and only runs while none apply.
+ * The first frame after it resumes receives a delta of 0, so time-based
+ * state continues exactly where it was left.
+ * @param {(dt:number, now:number) => void} frame - dt in seconds
+ * @returns {{
+ *  start: () => void,
+ *  stop: () => void,
+ *  hold: (reason:string) => void,
+ *  release: (reason:string) => void,
+ *  readonly running: boolean,
+ * }}
+ */
+export function createLoop(frame) {
+  const holds = new Set(["stopped"]);
+  let raf = 0;
+  let running = false;
+  let last = 0;
+
+  function tick(now) {
+    if (!running) return;
+    raf = requestAnimationFrame(tick);
+    const dt = last ? Math.min((now - last) / 1000, MAX_DELTA) : 0;
+    last = now;
+    frame(dt, now);
+  }
+
+  function update() {
+    const shouldRun = holds.size === 0;
+    if (shouldRun === running) return;
+    running = shouldRun;
+    if (running) {
+      last = 0;
+      raf = requestAnimationFrame(tick);
+    } else {
+      cancelAnimationFrame(raf);
+    }
+  }
+
+  function hold(reason) {
+    holds.add(reason);
+    update();
+  }
+
+  function release(reason) {
+    holds.delete(reason);
+    update();
+  }
+
+  return {
+    start: () => release("stopped"),
+    stop: () => hold("stopped"),
+    hold,
+    release,
+    get running() {
+      return running;
+    },
+  };
+}
+
+/**
+ * Fixed-timestep accumulator for simulations: turns frame deltas into whole
+ * steps of 1/`rate` seconds, so they run at the same pace at 60 Hz or 120 Hz.
+ * Leftover time carries into the next frame. At most `maxSteps` steps
+ * (times `speed` when above 1) run per frame, so slow devices don't spiral.
+ * @param {number} [rate] - steps per second at speed 1
+ * @param {number} [maxSteps]
+ * @returns {(dt:number, speed?:number) => number} steps to run this frame
+ */
+export function createStepper(rate = 60, maxSteps = 4) {
+  let pending = 0;
+  return function steps(dt, speed = 1) {
+    pending += dt * rate * speed;
+    const whole = Math.floor(pending);
+    pending -= whole;
+    return Math.min(whole, Math.ceil(maxSteps * Math.max(speed, 1)));
+  };
+}
@@ -0,0 +1,56 @@
+// How effects move: `intensity` scales motion-driven strength and speed,
+// `flashes` allows passes that only flash (inversions, static bursts)
+const FULL = { animate: true, intensity: 1, flashes: true };
+const STRATEGIES = {
+  static: { animate: false, intensity: 0, flashes: false }, // still image
+  reduce: { animate: true, intensity: 0.35, flashes: false },
+  "no-flash": { animate: true, intensity: 1, flashes: false },
+  ignore: FULL,
+};
+
+let strategy = "reduce";
+let query = null;
+const watchers = new Set();
+
+function currentMotion() {
+  if (!query || !query.matches) return FULL;
+  return STRATEGIES[strategy] || STRATEGIES.reduce;
+}
+
+function notify() {
+  const motion = currentMotion();
+  watchers.forEach((watcher) => watcher(motion));
+}
+
+function listen() {
+  if (query || typeof window === "undefined" || !window.matchMedia) return;
+  query = window.matchMedia("(prefers-reduced-motion: reduce)");
+  if (query.addEventListener) query.addEventListener("change", notify);
+  else query.addListener(notify); // Safari < 14
+}
+
+/**
+ * What running effects do when the user prefers reduced motion:
+ * "static" | "reduce" | "no-flash" | "ignore". Running effects update at once.
+ * @param {string} next
+ */
+export function setReducedMotion(next) {
+  if (!STRATEGIES[next]) {
+    console.warn(`kxxxr: unknown reducedMotion strategy "${next}"`);
+    return;
+  }
+  strategy = next;
+  notify();
+}
+
+/**
+ * Calls `watcher` now and whenever the media query or the strategy changes.
+ * @param {(motion:{ animate:boolean, intensity:number, flashes:boolean }) => void} watcher
+ * @returns {() => void} unwatch
+ */
+export function watchMotion(watcher) {
+  listen();
+  watchers.add(watcher);
+  watcher(currentMotion());
+  return () => watchers.delete(watcher);
+}
@@ -0,0 +1,341 @@
+import * as THREE from "three";
+
+// Shorter side of the velocity/pressure grid, in cells
+const GRID_SIZE = 128;
+
+const vertexShader = `
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position, 1.0);
+  }
+`;
+
+// Neighbour lookups shared by the grid passes (one texel apart)
+const neighbours = `
+  uniform vec2 uTexel;
+  varying vec2 vUv;
+  vec2 left() { return vUv - vec2(uTexel.x, 0.0); }
+  vec2 right() { return vUv + vec2(uTexel.x, 0.0); }
+  vec2 below() { return vUv - vec2(0.0, uTexel.y); }
+  vec2 above() { return vUv + vec2(0.0, uTexel.y); }
+`;
+
+const shaders = {
+  // Moves a field along the velocity (semi-Lagrangian) and fades it
+  advect: `
+    precision highp float;
+    uniform sampler2D uVelocity;
+    uniform sampler2D uSource;
+    uniform vec2 uVelocityTexel;
+    uniform float uDt;
+    uniform float uDissipation;
+    varying vec2 vUv;
+    void main() {
+      vec2 from = vUv - uDt * texture2D(uVelocity, vUv).xy * uVelocityTexel;
+      gl_FragColor = texture2D(uSource, from) * uDissipation;
+    }
+  `,
+  curl: `
+    precision highp float;
+    uniform sampler2D uVelocity;
+    ${neighbours}
+    void main() {
+      float curl = texture2D(uVelocity, right()).y - texture2D(uVelocity, left()).y
+        - texture2D(uVelocity, above()).x + texture2D(uVelocity, below()).x;
+      gl_FragColor = vec4(0.5 * curl, 0.0, 0.0, 1.0);
+    }
+  `,
+  // Vorticity confinement: pushes small swirls back up that the coarse
+  // grid would smear out
+  vorticity: `
+    precision highp float;
+    uniform sampler2D uVelocity;
+    uniform sampler2D uCurl;
+    uniform float uStrength;
+    uniform float uDt;
+    ${neighbours}
+    void main() {
+      float l = texture2D(uCurl, left()).x;
+      float r = texture2D(uCurl, right()).x;
+      float b = texture2D(uCurl, below()).x;
+      float t = texture2D(uCurl, above()).x;
+      float c = texture2D(uCurl, vUv).x;
+      vec2 force = 0.5 * vec2(abs(t) - abs(b), abs(r) - abs(l));
+      force /= length(force) + 1e-4;
+      force *= uStrength * c * vec2(1.0, -1.0);
+      vec2 velocity = texture2D(uVelocity, vUv).xy + force * uDt;
+      gl_FragColor = vec4(clamp(velocity, -1000.0, 1000.0), 0.0, 1.0);
+    }
+  `,
+  // Pointer motion along each segment becomes velocity
+  splat: `
+    precision highp float;
+    uniform sampler2D uVelocity;
+    uniform vec2 uMouse;
+    uniform vec2 uPrevMouse;
+    uniform bool uIsMoving;
+    uniform vec4 uTouches[MAX_TOUCHES];
+    uniform int uTouchCount;
+    uniform float uLineWidth;
+    uniform vec2 uForce;
+    varying vec2 vUv;
+
+    vec2 segmentForce(vec2 from, vec2 to) {
+      vec2 direction = to - from;
+      float lineLength = length(direction);
+      vec2 closestPoint = from;
+      if (lineLength > 0.001) {
+        vec2 dir = direction / lineLength;
+        float projAlong = clamp(dot(vUv - from, dir), 0.0, lineLength);
+        closestPoint = from + projAlong * dir;
+      }
+      float falloff = smoothstep(uLineWidth, 0.0, length(vUv - closestPoint));
+      return direction * uForce * falloff;
+    }
+
+    void main() {
+      vec2 velocity = texture2D(uVelocity, vUv).xy;
+      if (uIsMoving) velocity += segmentForce(uPrevMouse, uMouse);
+      for (int i = 0; i < MAX_TOUCHES; i++) {
+        if (i >= uTouchCount) break;
+        velocity += segmentForce(uTouches[i].zw, uTouches[i].xy);
+      }
+      gl_FragColor = vec4(velocity, 0.0, 1.0);
+    }
+  `,
+  divergence: `
+    precision highp float;
+    uniform sampler2D uVelocity;
+    ${neighbours}
+    void main() {
+      float divergence = texture2D(uVelocity, right()).x - texture2D(uVelocity, left()).x
+        + texture2D(uVelocity, above()).y - texture2D(uVelocity, below()).y;
+      gl_FragColor = vec4(0.5 * divergence, 0.0, 0.0, 1.0);
+    }
+  `,
+  // Jacobi iteration of the pressure Poisson equation
+  pressure: `
+    precision highp float;
+    uniform sampler2D uPressure;
+    uniform sampler2D uDivergence;
+    ${neighbours}
+    void main() {
+      float sum = texture2D(uPressure, left()).x + texture2D(uPressure, right()).x
+        + texture2D(uPressure, below()).x + texture2D(uPressure, above()).x;
+      float divergence = texture2D(uDivergence, vUv).x;
+      gl_FragColor = vec4((sum - divergence) * 0.25, 0.0, 0.0, 1.0);
+    }
+  `,
+  // Removes the pressure gradient, leaving a divergence-free velocity
+  project: `
+    precision highp float;
+    uniform sampler2D uPressure;
+    uniform sampler2D uVelocity;
+    ${neighbours}
+    void main() {
+      vec2 gradient = vec2(
+        texture2D(uPressure, right()).x - texture2D(uPressure, left()).x,
+        texture2D(uPressure, above()).x - texture2D(uPressure, below()).x
+      );
+      vec2 velocity = texture2D(uVelocity, vUv).xy - 0.5 * gradient;
+      gl_FragColor = vec4(velocity, 0.0, 1.0);
+    }
+  `,
+  // Scales the previous pressure as the first guess for the solver
+  fade: `
+    precision highp float;
+    uniform sampler2D uSource;
+    uniform float uDissipation;
+    varying vec2 vUv;
+    void main() {
+      gl_FragColor = texture2D(uSource, vUv) * uDissipation;
+    }
+  `,
+};
+
+/**
+ * Grid-based incompressible fluid solver (advection, vorticity confinement,
+ * pressure projection) on the GPU, driven by the same pointer segments as
+ * the trail effect. It owns the velocity field; callers advect their own
+ * fields (dye) through it with `advect`.
+ * @param {import("three").WebGLRenderer} renderer
+ * @param {Object} targetOptions - WebGLRenderTarget options for the fields
+ * @param {{ mouse:THREE.Vector2, prevMouse:THREE.Vector2, touches:THREE.Vector4[], maxTouches:number }} input
+ *  pointer state in UV, shared with the caller and read on every step
+ * @returns {{
+ *  setSize: (width:number, height:number) => void,
+ *  setOptions: (options:{ vorticity:number, pressureIterations:number, velocityDecay:number, force:number, lineWidth:number }) => void,
+ *  setInput: (isMoving:boolean, touchCount:number) => void,
+ *  step: (dt:number) => void,
+ *  advect: (source:THREE.Texture, target:THREE.WebGLRenderTarget, dt:number) => void,
+ *  dispose: () => void,
+ * }}
+ */
+export function createNavierStokes(renderer, targetOptions, input) {
+  const scene = new THREE.Scene();
+  const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+  const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), null);
+  scene.add(quad);
+
+  const target = () => new THREE.WebGLRenderTarget(1, 1, targetOptions);
+  let velocity = [target(), target()];
+  let pressure = [target(), target()];
+  const divergence = target();
+  const curl = target();
+  const targets = [...velocity, ...pressure, divergence, curl];
+
+  const texel = new THREE.Vector2(1, 1);
+  const force = new THREE.Vector2(1, 1);
+  const materials = {};
+  Object.keys(shaders).forEach((name) => {
+    materials[name] = new THREE.ShaderMaterial({
+      defines: { MAX_TOUCHES: input.maxTouches },
+      uniforms: {
+        uTexel: { value: texel },
+        uVelocityTexel: { value: texel },
+        uVelocity: { value: null },
+        uSource: { value: null },
+        uCurl: { value: null },
+        uPressure: { value: null },
+        uDivergence: { value: null },
+        uDt: { value: 0 },
+        uDissipation: { value: 1 },
+        uStrength: { value: 0 },
+        uMouse: { value: input.mouse },
+        uPrevMouse: { value: input.prevMouse },
+        uIsMoving: { value: false },
+        uTouches: { value: input.touches },
+        uTouchCount: { value: 0 },
+        uLineWidth: { value: 0.05 },
+        uForce: { value: force },
+      },
+      vertexShader,
+      fragmentShader: shaders[name],
+      depthTest: false,
+      depthWrite: false,
+    });
+  });
+
+  let settings = {
+    vorticity: 20,
+    pressureIterations: 20,
+    velocityDecay: 0.99,
+    force: 1,
+    lineWidth: 0.05,
+  };
+  let gridWidth = 1;
+  let gridHeight = 1;
+
+  function pass(name, uniforms, output) {
+    const material = materials[name];
+    Object.keys(uniforms).forEach((key) => {
+      material.uniforms[key].value = uniforms[key];
+    });
+    quad.material = material;
+    renderer.setRenderTarget(output);
+    renderer.render(scene, camera);
+  }
+
+  function swap(pair) {
+    return [pair[1], pair[0]];
+  }
+
+  function setSize(width, height) {
+    const scale = Math.min(1, GRID_SIZE / Math.min(width, height));
+    gridWidth = Math.max(1, Math.round(width * scale));
+    gridHeight = Math.max(1, Math.round(height * scale));
+    targets.forEach((t) => t.setSize(gridWidth, gridHeight));
+    texel.set(1 / gridWidth, 1 / gridHeight);
+    updateForce();
+  }
+
+  // Pointer travel in UV per 1/60 s step -> grid cells per second
+  function updateForce() {
+    const gain = 60 * settings.force;
+    force.set(gridWidth * gain, gridHeight * gain);
+  }
+
+  function setOptions(next) {
+    settings = { ...settings, ...next };
+    updateForce();
+    materials.splat.uniforms.uLineWidth.value = settings.lineWidth;
+  }
+
+  function setInput(isMoving, touchCount) {
+    materials.splat.uniforms.uIsMoving.value = isMoving;
+    materials.splat.uniforms.uTouchCount.value = touchCount;
+  }
+
+  function step(dt) {
+    pass("curl", { uVelocity: velocity[0].texture }, curl);
+    pass(
+      "vorticity",
+      {
+        uVelocity: velocity[0].texture,
+        uCurl: curl.texture,
+        uStrength: settings.vorticity,
+        uDt: dt,
+      },
+      velocity[1]
+    );
+    velocity = swap(velocity);
+    pass("splat", { uVelocity: velocity[0].texture }, velocity[1]);
+    velocity = swap(velocity);
+
+    pass("divergence", { uVelocity: velocity[0].texture }, divergence);
+    pass(
+      "fade",
+      { uSource: pressure[0].texture, uDissipation: 0.8 },
+      pressure[1]
+    );
+    pressure = swap(pressure);
+    for (let i = 0; i < settings.pressureIterations; i++) {
+      pass(
+        "pressure",
+        { uPressure: pressure[0].texture, uDivergence: divergence.texture },
+        pressure[1]
+      );
+      pressure = swap(pressure);
+    }
+    pass(
+      "project",
+      { uPressure: pressure[0].texture, uVelocity: velocity[0].texture },
+      velocity[1]
+    );
+    velocity = swap(velocity);
+
+    pass(
+      "advect",
+      {
+        uVelocity: velocity[0].texture,
+        uSource: velocity[0].texture,
+        uDt: dt,
+        uDissipation: settings.velocityDecay,
+      },
+      velocity[1]
+    );
+    velocity = swap(velocity);
+  }
+
+  function advect(source, output, dt) {
+    pass(
+      "advect",
+      {
+        uVelocity: velocity[0].texture,
+        uSource: source,
+        uDt: dt,
+        uDissipation: 1,
+      },
+      output
+    );
+  }
+
+  function dispose() {
+    targets.forEach((t) => t.dispose());
+    Object.values(materials).forEach((m) => m.dispose());
+    quad.geometry.dispose();
+  }
+
+  return { setSize, setOptions, setInput, step, advect, dispose };
+}
@@ -0,0 +1,105 @@
+// A press shorter/smaller than this counts as a tap (click on desktop)
+const TAP_MAX_MS = 300;
+const TAP_MAX_PX = 10;
+
+/**
+ * @typedef {{
+ *  id: number,
+ *  x: number,
+ *  y: number,
+ *  type: string,
+ *  primary: boolean,
+ * }} PointerPoint - x/y normalized to the canvas, (0, 0) at the top-left
+ */
+
+/**
+ * Pointer Events input (mouse, pen and multi-touch) for an effect canvas.
+ * - `move`: hover for mouse/pen, contact for touch (including touch start)
+ * - `leave`: pointer left the canvas, lifted, or the browser took over (scroll)
+ * - `tap`: short press without movement
+ * @param {HTMLCanvasElement} canvas
+ * @param {{
+ *  move?: (p:PointerPoint) => void,
+ *  leave?: (p:PointerPoint) => void,
+ *  tap?: (p:PointerPoint) => void,
+ * }} handlers
+ * @param {{ touchAction?: string }} options - CSS touch-action for the canvas;
+ *  the default "pan-y" keeps vertical page scrolling, "none" captures all gestures
+ * @returns {() => void} detach
+ */
+export function bindPointer(canvas, handlers, options = {}) {
+  const { touchAction = "pan-y" } = options;
+  const presses = new Map(); // pointerId -> { x, y, time } in client px
+
+  const previousTouchAction = canvas.style.touchAction;
+  canvas.style.touchAction = touchAction;
+
+  function toPoint(e) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+      id: e.pointerId,
+      x: (e.clientX - rect.left) / rect.width,
+      y: (e.clientY - rect.top) / rect.height,
+      type: e.pointerType,
+      primary: e.isPrimary,
+    };
+  }
+
+  function onDown(e) {
+    presses.set(e.pointerId, {
+      x: e.clientX,
+      y: e.clientY,
+      time: performance.now(),
+    });
+    if (e.pointerType === "touch" && handlers.move) handlers.move(toPoint(e));
+  }
+
+  function onMove(e) {
+    // Touch only reports moves while in contact; mouse/pen hover as well
+    if (e.pointerType === "touch" && !presses.has(e.pointerId)) return;
+    if (handlers.move) handlers.move(toPoint(e));
+  }
+
+  function onUp(e) {
+    const press = presses.get(e.pointerId);
+    presses.delete(e.pointerId);
+    if (
+      press &&
+      handlers.tap &&
+      performance.now() - press.time <= TAP_MAX_MS &&
+      Math.hypot(e.clientX - press.x, e.clientY - press.y) <= TAP_MAX_PX
+    ) {
+      handlers.tap(toPoint(e));
+    }
+    if (e.pointerType === "touch" && handlers.leave) handlers.leave(toPoint(e));
+  }
+
+  function onCancel(e) {
+    presses.delete(e.pointerId);
+    if (handlers.leave) handlers.leave(toPoint(e));
+  }
+
+  function onLeave(e) {
+    // Touch pointers already left on pointerup/pointercancel
+    if (e.pointerType === "touch") return;
+    presses.delete(e.pointerId);
+    if (handlers.leave) handlers.leave(toPoint(e));
+  }
+
+  const listeners = [
+    ["pointerdown", onDown],
+    ["pointermove", onMove],
+    ["pointerup", onUp],
+    ["pointercancel", onCancel],
+    ["pointerleave", onLeave],
+  ];
+  listeners.forEach(([type, fn]) =>
+    canvas.addEventListener(type, fn, { passive: true })
+  );
+
+  return () => {
+    listeners.forEach(([type, fn]) => canvas.removeEventListener(type, fn));
+    canvas.style.touchAction = previousTouchAction;
+    presses.clear();
+  };
+}
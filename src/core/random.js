@@ -0,0 +1,19 @@
+/**
+ * Random number source in [0, 1). With a numeric seed it is deterministic
+ * (mulberry32), so the same seed replays the same sequence; without one it
+ * falls back to Math.random.
+ * @param {number|null} [seed]
+ * @returns {() => number}
+ */
+export function createRandom(seed) {
+  if (seed === null || seed === undefined || !Number.isFinite(seed))
+    return Math.random;
+  let state = Math.floor(seed) >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,178 @@
+import { WebGLRenderer } from "three";
+
+// One offscreen context shared by every effect created with `sharedRenderer`
+let shared = null;
+
+/**
+ * Thrown by createRenderer when the browser won't hand out a WebGL context,
+ * as opposed to errors in the effect itself.
+ */
+export class RendererUnavailableError extends Error {
+  constructor(cause) {
+    super(`A WebGL renderer could not be created (${cause && cause.message})`);
+    this.name = "RendererUnavailableError";
+    this.cause = cause;
+  }
+}
+
+function newRenderer(parameters) {
+  try {
+    return new WebGLRenderer(parameters);
+  } catch (err) {
+    throw new RendererUnavailableError(err);
+  }
+}
+
+function acquireShared() {
+  if (!shared) {
+    const canvas = document.createElement("canvas");
+    const renderer = newRenderer({
+      canvas,
+      antialias: false,
+      alpha: true,
+      powerPreference: "high-performance",
+    });
+    renderer.setPixelRatio(1); // instances pass device pixels themselves
+    const watchers = new Set();
+    canvas.addEventListener("webglcontextlost", (e) =>
+      watchers.forEach((w) => w.lost(e))
+    );
+    canvas.addEventListener("webglcontextrestored", (e) =>
+      watchers.forEach((w) => w.restored(e))
+    );
+    shared = { canvas, renderer, watchers, users: 0, width: 1, height: 1 };
+  }
+  shared.users++;
+  return shared;
+}
+
+function releaseShared() {
+  if (!shared) return;
+  shared.users--;
+  if (shared.users > 0) return;
+  shared.renderer.dispose();
+  shared.renderer.forceContextLoss();
+  shared = null;
+}
+
+/**
+ * Creates the output for an effect: either its own WebGLRenderer on the canvas,
+ * or a slot on the shared offscreen renderer that is blitted into the canvas.
+ * @param {HTMLCanvasElement} canvas
+ * @param {{
+ *  sharedRenderer?: boolean,
+ *  antialias?: boolean,
+ *  alpha?: boolean,
+ *  clearColor?: number,
+ *  clearAlpha?: number,
+ *  outputColorSpace?: string,
+ *  toneMapping?: number,
+ *  onContextLost?: (e:Event) => void,
+ *  onContextRestored?: (e:Event) => void,
+ * }} options - context callbacks also fire when the shared context is lost
+ * @returns {{
+ *  renderer: WebGLRenderer,
+ *  shared: boolean,
+ *  setSize: (width:number, height:number, pixelRatio?:number) => void,
+ *  render: (scene:import("three").Scene, camera:import("three").Camera) => void,
+ *  dispose: () => void,
+ * }}
+ */
+export function createRenderer(canvas, options = {}) {
+  const {
+    sharedRenderer = false,
+    antialias = false,
+    alpha = true,
+    clearColor = 0x000000,
+    clearAlpha = alpha ? 0 : 1,
+    outputColorSpace,
+    toneMapping,
+    onContextLost = () => {},
+    onContextRestored = () => {},
+  } = options;
+  const contextWatcher = { lost: onContextLost, restored: onContextRestored };
+
+  // A canvas that already holds a WebGL context cannot hand out a 2D one
+  const ctx = sharedRenderer ? canvas.getContext("2d") : null;
+
+  function applySettings(renderer) {
+    renderer.setClearColor(clearColor, clearAlpha);
+    if (outputColorSpace !== undefined)
+      renderer.outputColorSpace = outputColorSpace;
+    if (toneMapping !== undefined) {
+      renderer.toneMapping = toneMapping;
+      renderer.toneMappingExposure = 1.0;
+    }
+  }
+
+  if (!ctx) {
+    const renderer = newRenderer({
+      canvas,
+      antialias,
+      alpha,
+      powerPreference: "high-performance", // Use dedicated GPU if available
+    });
+    applySettings(renderer);
+    // three.js calls preventDefault() on loss, so the context can come back
+    canvas.addEventListener("webglcontextlost", onContextLost);
+    canvas.addEventListener("webglcontextrestored", onContextRestored);
+    return {
+      renderer,
+      shared: false,
+      setSize(width, height, pixelRatio = 1) {
+        renderer.setPixelRatio(pixelRatio);
+        renderer.setSize(width, height, false);
+      },
+      render(scene, camera) {
+        renderer.setRenderTarget(null);
+        renderer.render(scene, camera);
+      },
+      dispose() {
+        canvas.removeEventListener("webglcontextlost", onContextLost);
+        canvas.removeEventListener("webglcontextrestored", onContextRestored);
+        renderer.dispose();
+      },
+    };
+  }
+
+  const slot = acquireShared();
+  const { renderer } = slot;
+  slot.watchers.add(contextWatcher);
+  let released = false;
+
+  return {
+    renderer,
+    shared: true,
+    setSize(width, height, pixelRatio = 1) {
+      canvas.width = Math.max(1, Math.round(width * pixelRatio));
+      canvas.height = Math.max(1, Math.round(height * pixelRatio));
+    },
+    render(scene, camera) {
+      const w = canvas.width;
+      const h = canvas.height;
+      // Grow only, so instances of different sizes don't thrash the buffer
+      if (w > slot.width || h > slot.height) {
+        slot.width = Math.max(slot.width, w);
+        slot.height = Math.max(slot.height, h);
+        renderer.setSize(slot.width, slot.height, false);
+      }
+      applySettings(renderer);
+      renderer.setRenderTarget(null);
+      renderer.setViewport(0, 0, w, h);
+      renderer.setScissor(0, 0, w, h);
+      renderer.setScissorTest(true);
+      renderer.render(scene, camera);
+      renderer.setScissorTest(false);
+
+      // GL origin is bottom-left, so our slot is the bottom rows of the buffer
+      if (alpha) ctx.clearRect(0, 0, w, h);
+      ctx.drawImage(slot.canvas, 0, slot.height - h, w, h, 0, 0, w, h);
+    },
+    dispose() {
+      if (released) return;
+      released = true;
+      slot.watchers.delete(contextWatcher);
+      releaseShared();
+    },
+  };
+}
@@ -0,0 +1,54 @@
+let cached = null;
+
+/**
+ * Checks once per page whether a WebGL 2 context (required by three.js) can
+ * be created.
+ * The probe context is released right away so it doesn't count against
+ * the browser's context limit.
+ * @returns {{ supported: boolean, reason: string|null }}
+ */
+export function detectWebGL() {
+  if (cached) return cached;
+  if (typeof window === "undefined" || !window.WebGL2RenderingContext) {
+    cached = {
+      supported: false,
+      reason: "WebGL 2 is not available in this browser",
+    };
+    return cached;
+  }
+  let gl = null;
+  try {
+    const canvas = document.createElement("canvas");
+    gl = canvas.getContext("webgl2");
+  } catch (err) {
+    gl = null;
+  }
+  if (!gl) {
+    cached = {
+      supported: false,
+      reason:
+        "A WebGL 2 context could not be created (disabled or blocklisted GPU)",
+    };
+    return cached;
+  }
+  const lose = gl.getExtension("WEBGL_lose_context");
+  if (lose) lose.loseContext();
+  cached = { supported: true, reason: null };
+  return cached;
+}
+
+/**
+ * Best render target type a renderer can draw simulation state into:
+ * "float" (32-bit, also needs linear filtering), "half-float", or "rgba8"
+ * when neither float format is renderable and state has to be packed.
+ * @param {import("three").WebGLRenderer} renderer
+ * @returns {"float"|"half-float"|"rgba8"}
+ */
+export function detectRenderTargetType(renderer) {
+  const extensions = renderer.extensions;
+  if (extensions.has("EXT_color_buffer_float")) {
+    return extensions.has("OES_texture_float_linear") ? "float" : "half-float";
+  }
+  if (extensions.has("EXT_color_buffer_half_float")) return "half-float";
+  return "rgba8";
+}
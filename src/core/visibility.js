@@ -0,0 +1,59 @@
+// Loops held while their canvas is scrolled away or the tab is hidden
+const watched = new Map(); // canvas -> loop
+let observer = null;
+
+function onIntersect(entries) {
+  entries.forEach((entry) => {
+    const loop = watched.get(entry.target);
+    if (!loop) return;
+    if (entry.isIntersecting) loop.release("offscreen");
+    else loop.hold("offscreen");
+  });
+}
+
+function onVisibilityChange() {
+  watched.forEach((loop) => {
+    if (document.hidden) loop.hold("hidden");
+    else loop.release("hidden");
+  });
+}
+
+/**
+ * Suspends `loop` while `canvas` is outside the viewport or the page is hidden.
+ * Suspension only stops rendering; simulation buffers stay untouched.
+ * @param {HTMLCanvasElement} canvas
+ * @param {ReturnType<import("./loop.js").createLoop>} loop
+ * @returns {() => void} stop watching
+ */
+export function suspendWhenHidden(canvas, loop) {
+  if (typeof document === "undefined") return () => {};
+
+  if (watched.size === 0) {
+    document.addEventListener("visibilitychange", onVisibilityChange);
+  }
+  watched.set(canvas, loop);
+  if (document.hidden) loop.hold("hidden");
+
+  if (typeof IntersectionObserver !== "undefined") {
+    // Small margin so effects are warm by the time they scroll into view
+    if (!observer) {
+      observer = new IntersectionObserver(onIntersect, { rootMargin: "64px" });
+    }
+    observer.observe(canvas);
+  }
+
+  return () => {
+    if (!watched.has(canvas)) return;
+    watched.delete(canvas);
+    if (observer) observer.unobserve(canvas);
+    loop.release("offscreen");
+    loop.release("hidden");
+    if (watched.size === 0) {
+      document.removeEventListener("visibilitychange", onVisibilityChange);
+      if (observer) {
+        observer.disconnect();
+        observer = null;
+      }
+    }
+  };
+}
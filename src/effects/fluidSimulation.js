@@ -1,13 +1,39 @@
 import * as THREE from "three";
+import { createRenderer } from "../core/renderer.js";
+import { createStepper } from "../core/loop.js";
+import { bindPointer } from "../core/pointer.js";
+import { createEffect } from "../core/effect.js";
+import { FIT_GLSL, fitMode, parsePosition } from "../core/fit.js";
+import { createNavierStokes } from "../core/navierStokes.js";
+
+// Simultaneous touch points drawn besides the primary pointer
+const MAX_TOUCHES = 4;
+// Length of one simulation step, in seconds
+const STEP = 1 / 60;
+// Image stacks: revealed area is measured on a coarse grid this often
+const COVERAGE_SIZE = 16;
+const COVERAGE_INTERVAL = 0.25; // seconds
 
 /**
  * Fluid-like hover tail reveal effect with two-image blending.
- * Simplified shader-based approach with trail persistence.
+ * In the default `mode: "trail"` the pointer draws decaying line segments;
+ * `mode: "navier-stokes"` instead carries the reveal as dye through a
+ * simulated fluid that pointer motion stirs up.
+ * `images` stacks several layers: once `coverage` of the canvas is revealed
+ * the next layer moves to the top, emitting `layerChange`.
+ * `fit` and `position` place both images like CSS object-fit/object-position.
+ * Lifecycle events (ready, error, resize, dispose, contextLost, layerChange) go to the
+ * `on*` callbacks and to `eventTarget` (default: the canvas).
  *
  * @param {HTMLCanvasElement} canvas
  * @param {{
- *  imageUrl: string,
+ *  imageUrl?: string,
  *  backImageUrl?: string|null,
+ *  images?: string[],
+ *  coverage?: number,
+ *  mode?: "trail"|"navier-stokes",
+ *  fit?: "fill"|"cover"|"contain",
+ *  position?: string|number[],
  *  width?: number,
  *  height?: number,
  *  speed?: number,
@@ -16,39 +42,97 @@ import * as THREE from "three";
  *  lineIntensity?: number,
  *  threshold?: number,
  *  edgeWidth?: number,
+ *  vorticity?: number,
+ *  pressureIterations?: number,
+ *  velocityDecay?: number,
+ *  force?: number,
  *  hiDPI?: boolean,
+ *  sharedRenderer?: boolean,
+ *  pauseWhenHidden?: boolean,
+ *  touchAction?: string,
+ *  eventTarget?: EventTarget,
+ *  onReady?: Function,
+ *  onError?: Function,
+ *  onResize?: Function,
+ *  onDispose?: Function,
+ *  onContextLost?: Function,
+ *  onLayerChange?: Function,
  * }} options
- * @returns {() => void} dispose
+ * @returns {import("../core/controller.js").EffectController} controller (callable as dispose)
  */
 export function fluidSimulationEffect(canvas, options = {}) {
   const {
     imageUrl,
     backImageUrl = null,
+    images = null, // layer stack, front first; replaces imageUrl/backImageUrl
+    coverage = 0.5, // revealed fraction that promotes the next layer
+    mode = "trail", // "trail" | "navier-stokes"; fixed at creation
+    fit = "cover", // "fill" | "cover" | "contain"
+    position = "center", // like CSS object-position
     width = canvas.clientWidth || 512,
     height = canvas.clientHeight || 384,
-    speed = 1.0, // control 
+    speed = 1.0, // control
     decay = 0.97,
     lineWidth = 0.05,
     lineIntensity = 0.3,
     threshold = 0.02,
     edgeWidth = 0.004,
+    // navier-stokes mode only
+    vorticity = 20, // swirl strength (vorticity confinement)
+    pressureIterations = 20, // solver iterations per step; more = less compressible
+    velocityDecay = 0.99, // velocity kept per step
+    force = 1, // pointer motion -> fluid velocity
     hiDPI = true,
-    movementTimeout = 50, // Stop effect after this many ms of no movement
+    movementTimeout = 50, // a pause longer than this (ms) starts a new stroke
+    sharedRenderer = false,
   } = options;
 
   if (!canvas) throw new Error("fluidSimulationEffect: canvas is required");
-  if (!imageUrl) throw new Error("fluidSimulationEffect: imageUrl is required");
+  const stack = Array.isArray(images) && images.length > 0;
+  if (!imageUrl && !stack) {
+    throw new Error("fluidSimulationEffect: imageUrl or images is required");
+  }
+  if (mode !== "trail" && mode !== "navier-stokes") {
+    throw new Error(`fluidSimulationEffect: unknown mode "${mode}"`);
+  }
+
+  const opts = {
+    fit,
+    position,
+    speed,
+    decay,
+    lineWidth,
+    lineIntensity,
+    threshold,
+    edgeWidth,
+    coverage,
+    vorticity,
+    pressureIterations,
+    velocityDecay,
+    force,
+    movementTimeout,
+  };
+  const effect = createEffect(canvas, options, {
+    render,
+    apply: applyOptions,
+    contextLost: handleContextLost,
+    contextRestored: handleContextRestored,
+    dispose,
+  });
+  const { emit } = effect;
 
   const dpr = hiDPI ? Math.min(window.devicePixelRatio || 1, 2) : 1;
-  const renderer = new THREE.WebGLRenderer({
-    canvas,
+  const output = createRenderer(canvas, {
+    sharedRenderer,
+    onContextLost: effect.onContextLost,
+    onContextRestored: effect.onContextRestored,
     antialias: false,
     alpha: false,
-    powerPreference: "high-performance",
+    clearColor: 0x000000,
+    clearAlpha: 1,
   });
-  renderer.setPixelRatio(dpr);
-  renderer.setSize(width, height, false);
-  renderer.setClearColor(0x000000, 1);
+  const renderer = output.renderer;
+  output.setSize(width, height, dpr);
 
   // Render target params
   const rtParams = {
@@ -66,35 +150,34 @@ export function fluidSimulationEffect(canvas, options = {}) {
   let trailPing = trailA;
   let trailPong = trailB;
 
-  // Load textures
+  // Load textures: one layer per image, front first. Without a back image
+  // the front one is also shown underneath
   const loader = new THREE.TextureLoader();
-  const topTextureSize = new THREE.Vector2(1024, 1024);
-  const bottomTextureSize = new THREE.Vector2(1024, 1024);
-
-  const topTexture = loader.load(imageUrl, (texture) => {
-    topTextureSize.set(texture.image.width, texture.image.height);
+  const layerUrls = stack ? images : [imageUrl, backImageUrl].filter(Boolean);
+
+  // Ready once every image has loaded and been drawn
+  let pendingImages = layerUrls.length;
+  let ready = false;
+  const onImageError = (url) => (error) => emit("error", { error, url });
+
+  const layers = layerUrls.map((url) => {
+    const size = new THREE.Vector2(1024, 1024);
+    const texture = loader.load(
+      url,
+      (loaded) => {
+        size.set(loaded.image.width, loaded.image.height);
+        pendingImages--;
+      },
+      undefined,
+      onImageError(url)
+    );
+    texture.colorSpace = THREE.NoColorSpace;
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.flipY = true;
+    texture.generateMipmaps = false;
+    return { url, texture, size };
   });
-  topTexture.colorSpace = THREE.NoColorSpace;
-  topTexture.minFilter = THREE.LinearFilter;
-  topTexture.magFilter = THREE.LinearFilter;
-  topTexture.flipY = true;
-  topTexture.generateMipmaps = false;
-
-  const bottomTexture = backImageUrl
-    ? loader.load(backImageUrl, (texture) => {
-        bottomTextureSize.set(texture.image.width, texture.image.height);
-      })
-    : topTexture;
-
-  if (backImageUrl) {
-    bottomTexture.colorSpace = THREE.NoColorSpace;
-    bottomTexture.minFilter = THREE.LinearFilter;
-    bottomTexture.magFilter = THREE.LinearFilter;
-    bottomTexture.flipY = true;
-    bottomTexture.generateMipmaps = false;
-  } else {
-    bottomTextureSize.copy(topTextureSize);
-  }
 
   // Scenes
   const scene = new THREE.Scene();
@@ -102,50 +185,90 @@ export function fluidSimulationEffect(canvas, options = {}) {
   const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), null);
   scene.add(quad);
 
-  // Mouse state
+  // Pointer state: the primary moving pointer drives uMouse/uPrevMouse,
+  // further touch points go to uTouches (xy = current, zw = previous)
   const mouse = new THREE.Vector2(-100, -100);
   const prevMouse = new THREE.Vector2(-100, -100);
-  let isMoving = false;
-  let lastMoveTime = 0;
-  let movementTimeoutId = null;
-
-  function stopMovement() {
-    isMoving = false;
+  const touches = Array.from(
+    { length: MAX_TOUCHES },
+    () => new THREE.Vector4(-100, -100, -100, -100)
+  );
+  // pointerId -> { x, y, px, py, time, moved } in UV; px/py is where the
+  // last drawn segment ended, so segments join up however steps fall
+  const pointers = new Map();
+
+  // Navier-Stokes mode: the trail buffers hold the dye, moved through a
+  // coarser velocity field before the pointer adds to it
+  const fluid =
+    mode === "navier-stokes"
+      ? createNavierStokes(renderer, rtParams, {
+          mouse,
+          prevMouse,
+          touches,
+          maxTouches: MAX_TOUCHES,
+        })
+      : null;
+  if (fluid) fluid.setSize(Math.round(width * dpr), Math.round(height * dpr));
+
+  function onMove(p) {
+    const x = p.x;
+    const y = 1.0 - p.y;
+    const now = performance.now();
+    const prev = pointers.get(p.id);
+    // Start a fresh stroke after a pause instead of bridging the gap
+    const continuing = prev && now - prev.time < opts.movementTimeout;
+    pointers.set(p.id, {
+      x,
+      y,
+      px: continuing ? prev.px : x,
+      py: continuing ? prev.py : y,
+      time: now,
+      moved: true,
+    });
   }
 
-  function onMove(e) {
-    const rect = canvas.getBoundingClientRect();
-    const x = (e.clientX - rect.left) / rect.width;
-    const y = 1.0 - (e.clientY - rect.top) / rect.height;
+  function onLeave(p) {
+    pointers.delete(p.id);
+  }
 
-    if (!isMoving) {
-      prevMouse.set(x, y);
-    } else {
-      prevMouse.copy(mouse);
+  // Pointers that moved since their last drawn segment; returns the ones
+  // handed to the shaders
+  function syncPointers() {
+    const moved = [];
+    pointers.forEach((p) => {
+      if (p.moved) moved.push(p);
+    });
+    const primary = moved[0];
+    if (primary) {
+      mouse.set(primary.x, primary.y);
+      prevMouse.set(primary.px, primary.py);
     }
-    mouse.set(x, y);
-    isMoving = true;
-    lastMoveTime = performance.now();
+    const extra = moved.slice(1, MAX_TOUCHES + 1);
+    extra.forEach((t, i) => touches[i].set(t.x, t.y, t.px, t.py));
+    setInput(!!primary, extra.length);
+    return moved.slice(0, MAX_TOUCHES + 1);
+  }
 
-    // Clear existing timeout and set new one
-    if (movementTimeoutId !== null) {
-      clearTimeout(movementTimeoutId);
-    }
-    movementTimeoutId = setTimeout(stopMovement, movementTimeout);
+  function setInput(isMoving, touchCount) {
+    fluidMaterial.uniforms.uIsMoving.value = isMoving;
+    fluidMaterial.uniforms.uTouchCount.value = touchCount;
+    if (fluid) fluid.setInput(isMoving, touchCount);
   }
 
-  function onLeave() {
-    isMoving = false;
-    mouse.set(-100, -100);
-    prevMouse.set(-100, -100);
-    if (movementTimeoutId !== null) {
-      clearTimeout(movementTimeoutId);
-      movementTimeoutId = null;
-    }
+  // Drawn segments end where the pointers are now
+  function markDrawn(drawn) {
+    drawn.forEach((p) => {
+      p.px = p.x;
+      p.py = p.y;
+      p.moved = false;
+    });
   }
 
-  canvas.addEventListener("mousemove", onMove);
-  canvas.addEventListener("mouseleave", onLeave);
+  const unbindPointer = bindPointer(
+    canvas,
+    { move: onMove, leave: onLeave },
+    options
+  );
 
   // Vertex shader (shared)
   const vertexShader = `
@@ -165,31 +288,39 @@ export function fluidSimulationEffect(canvas, options = {}) {
     uniform vec2 uResolution;
     uniform float uDecay;
     uniform bool uIsMoving;
+    uniform vec4 uTouches[MAX_TOUCHES];
+    uniform int uTouchCount;
     uniform float uLineWidth;
     uniform float uLineIntensity;
 
     varying vec2 vUv;
 
+    // Line from the previous to the current pointer position (a dot on touch start)
+    float segmentIntensity(vec2 from, vec2 to) {
+      vec2 direction = to - from;
+      float lineLength = length(direction);
+      vec2 closestPoint = from;
+
+      if (lineLength > 0.001) {
+        vec2 dir = direction / lineLength;
+        float projAlong = clamp(dot(vUv - from, dir), 0.0, lineLength);
+        closestPoint = from + projAlong * dir;
+      }
+
+      float dist = length(vUv - closestPoint);
+      return smoothstep(uLineWidth, 0.0, dist) * uLineIntensity;
+    }
+
     void main() {
       vec4 prevState = texture2D(uPrevTrails, vUv);
       float newValue = prevState.r * uDecay;
 
       if (uIsMoving) {
-        vec2 mouseDirection = uMouse - uPrevMouse;
-        float lineLength = length(mouseDirection);
-
-        if (lineLength > 0.001) {
-          vec2 mouseDir = mouseDirection / lineLength;
-          vec2 toPixel = vUv - uPrevMouse;
-          float projAlong = dot(toPixel, mouseDir);
-          projAlong = clamp(projAlong, 0.0, lineLength);
-
-          vec2 closestPoint = uPrevMouse + projAlong * mouseDir;
-          float dist = length(vUv - closestPoint);
-
-          float intensity = smoothstep(uLineWidth, 0.0, dist) * uLineIntensity;
-          newValue += intensity;
-        }
+        newValue += segmentIntensity(uPrevMouse, uMouse);
+      }
+      for (int i = 0; i < MAX_TOUCHES; i++) {
+        if (i >= uTouchCount) break;
+        newValue += segmentIntensity(uTouches[i].zw, uTouches[i].xy);
       }
 
       gl_FragColor = vec4(newValue, 0.0, 0.0, 1.0);
@@ -210,31 +341,16 @@ export function fluidSimulationEffect(canvas, options = {}) {
     uniform float uEdgeWidth;
 
     varying vec2 vUv;
-
-    vec2 getCoverUV(vec2 uv, vec2 textureSize) {
-      if (textureSize.x < 1.0 || textureSize.y < 1.0) return uv;
-
-      // Calculate aspect ratios
-      vec2 ratio = vec2(
-        min((uResolution.x / uResolution.y) / (textureSize.x / textureSize.y), 1.0),
-        min((uResolution.y / uResolution.x) / (textureSize.y / textureSize.x), 1.0)
-      );
-
-      // Center and scale UV coordinates
-      return vec2(
-        uv.x * ratio.x + (1.0 - ratio.x) * 0.5,
-        uv.y * ratio.y + (1.0 - ratio.y) * 0.5
-      );
-    }
+    ${FIT_GLSL}
 
     void main() {
       float fluid = texture2D(uFluid, vUv).r;
 
-      vec2 topUV = getCoverUV(vUv, uTopTextureSize);
-      vec2 bottomUV = getCoverUV(vUv, uBottomTextureSize);
+      vec2 topUV = fitUV(vUv, uResolution, uTopTextureSize);
+      vec2 bottomUV = fitUV(vUv, uResolution, uBottomTextureSize);
 
-      vec4 topColor = texture2D(uTopTexture, topUV);
-      vec4 bottomColor = texture2D(uBottomTexture, bottomUV);
+      vec4 topColor = texture2D(uTopTexture, topUV) * fitMask(topUV);
+      vec4 bottomColor = texture2D(uBottomTexture, bottomUV) * fitMask(bottomUV);
 
       float edgeW = uEdgeWidth / uDpr;
       float t = smoothstep(uThreshold, uThreshold + edgeW, fluid);
@@ -246,6 +362,7 @@ export function fluidSimulationEffect(canvas, options = {}) {
 
   // Fluid material (trail simulation)
   const fluidMaterial = new THREE.ShaderMaterial({
+    defines: { MAX_TOUCHES },
     uniforms: {
       uPrevTrails: { value: null },
       uMouse: { value: mouse },
@@ -253,6 +370,8 @@ export function fluidSimulationEffect(canvas, options = {}) {
       uResolution: { value: new THREE.Vector2(width, height) },
       uDecay: { value: decay },
       uIsMoving: { value: false },
+      uTouches: { value: touches },
+      uTouchCount: { value: 0 },
       uLineWidth: { value: lineWidth },
       uLineIntensity: { value: lineIntensity },
     },
@@ -266,14 +385,16 @@ export function fluidSimulationEffect(canvas, options = {}) {
   const displayMaterial = new THREE.ShaderMaterial({
     uniforms: {
       uFluid: { value: null },
-      uTopTexture: { value: topTexture },
-      uBottomTexture: { value: bottomTexture },
+      uTopTexture: { value: null },
+      uBottomTexture: { value: null },
       uResolution: { value: new THREE.Vector2(width * dpr, height * dpr) },
       uDpr: { value: dpr },
-      uTopTextureSize: { value: topTextureSize },
-      uBottomTextureSize: { value: bottomTextureSize },
+      uTopTextureSize: { value: null },
+      uBottomTextureSize: { value: null },
       uThreshold: { value: threshold },
       uEdgeWidth: { value: edgeWidth },
+      uFit: { value: 1 },
+      uFitPosition: { value: new THREE.Vector2(0.5, 0.5) },
     },
     vertexShader,
     fragmentShader: displayFragmentShader,
@@ -281,6 +402,105 @@ export function fluidSimulationEffect(canvas, options = {}) {
     depthWrite: false,
   });
 
+  // Share of the trail above the threshold, averaged over a coarse grid
+  // (each output texel covers 4x4 samples) and read back on the CPU
+  const coverageMaterial = new THREE.ShaderMaterial({
+    uniforms: {
+      uFluid: { value: null },
+      uThreshold: { value: threshold },
+    },
+    vertexShader,
+    fragmentShader: `
+      precision highp float;
+      uniform sampler2D uFluid;
+      uniform float uThreshold;
+      varying vec2 vUv;
+      void main() {
+        vec2 cell = 1.0 / vec2(${COVERAGE_SIZE}.0);
+        vec2 origin = vUv - 0.5 * cell;
+        float covered = 0.0;
+        for (int y = 0; y < 4; y++) {
+          for (int x = 0; x < 4; x++) {
+            vec2 uv = origin + (vec2(x, y) + 0.5) * 0.25 * cell;
+            covered += step(uThreshold, texture2D(uFluid, uv).r);
+          }
+        }
+        gl_FragColor = vec4(covered / 16.0, 0.0, 0.0, 1.0);
+      }
+    `,
+    depthTest: false,
+    depthWrite: false,
+  });
+  const coverageTarget = new THREE.WebGLRenderTarget(
+    COVERAGE_SIZE,
+    COVERAGE_SIZE,
+    { depthBuffer: false, stencilBuffer: false }
+  );
+  const coveragePixels = new Uint8Array(COVERAGE_SIZE * COVERAGE_SIZE * 4);
+  let coverageTime = 0;
+
+  // Layer `index` on top, the one after it underneath (the last layer
+  // shows itself underneath, so there is nothing left to reveal)
+  let layer = 0;
+  function showLayer(index) {
+    layer = index;
+    const top = layers[index];
+    const bottom = layers[Math.min(index + 1, layers.length - 1)];
+    displayMaterial.uniforms.uTopTexture.value = top.texture;
+    displayMaterial.uniforms.uTopTextureSize.value = top.size;
+    displayMaterial.uniforms.uBottomTexture.value = bottom.texture;
+    displayMaterial.uniforms.uBottomTextureSize.value = bottom.size;
+  }
+  showLayer(0);
+
+  function clearTrails() {
+    const clearColor = renderer.getClearColor(new THREE.Color());
+    const clearAlpha = renderer.getClearAlpha();
+    renderer.setClearColor(0x000000, 1);
+    [trailA, trailB].forEach((target) => {
+      renderer.setRenderTarget(target);
+      renderer.clear();
+    });
+    renderer.setClearColor(clearColor, clearAlpha);
+  }
+
+  function measureCoverage() {
+    coverageMaterial.uniforms.uFluid.value = trailPing.texture;
+    quad.material = coverageMaterial;
+    renderer.setRenderTarget(coverageTarget);
+    renderer.render(scene, camera);
+    renderer.readRenderTargetPixels(
+      coverageTarget,
+      0,
+      0,
+      COVERAGE_SIZE,
+      COVERAGE_SIZE,
+      coveragePixels
+    );
+    let sum = 0;
+    for (let i = 0; i < coveragePixels.length; i += 4) sum += coveragePixels[i];
+    return sum / (255 * COVERAGE_SIZE * COVERAGE_SIZE);
+  }
+
+  // Image stacks: once enough of the top layer is gone, the next one takes
+  // its place and the reveal starts over
+  function peel(dt) {
+    if (!stack || layer >= layers.length - 1) return;
+    coverageTime += dt;
+    if (coverageTime < COVERAGE_INTERVAL) return;
+    coverageTime = 0;
+    if (measureCoverage() < opts.coverage) return;
+    const previous = layer;
+    showLayer(layer + 1);
+    clearTrails();
+    emit("layerChange", {
+      index: layer,
+      previous,
+      url: layers[layer].url,
+      count: layers.length,
+    });
+  }
+
   function resizeIfNeeded() {
     const w = canvas.clientWidth || width;
     const h = canvas.clientHeight || height;
@@ -288,28 +508,39 @@ export function fluidSimulationEffect(canvas, options = {}) {
     const ph = Math.round(h * dpr);
 
     if (canvas.width !== pw || canvas.height !== ph) {
-      renderer.setSize(w, h, false);
+      output.setSize(w, h, dpr);
       trailA.setSize(pw, ph);
       trailB.setSize(pw, ph);
+      if (fluid) fluid.setSize(pw, ph);
       fluidMaterial.uniforms.uResolution.value.set(w, h);
       displayMaterial.uniforms.uResolution.value.set(pw, ph);
       displayMaterial.uniforms.uDpr.value = dpr;
+      emit("resize", { width: pw, height: ph });
     }
   }
 
-  let disposed = false;
-
-  function render() {
-    if (disposed) return;
-    requestAnimationFrame(render);
+  // `speed` trail steps per 1/60 s, fractional speeds included; `decay`
+  // applies per step, so trails fade at the same pace at any refresh rate.
+  // Pointer segments go into the first step of a frame only, and wait for
+  // a frame that steps at all, so each stretch of movement is drawn once.
+  const stepper = createStepper(60);
+  function render(dt) {
     resizeIfNeeded();
 
-    // Run multiple simulation steps for speed > 1
-    const steps = Math.max(1, Math.floor(speed));
+    const steps = stepper(dt, opts.speed);
+    if (steps > 0) markDrawn(syncPointers());
     for (let i = 0; i < steps; i++) {
+      if (i === 1) setInput(false, 0);
+      if (fluid) {
+        fluid.step(STEP);
+        fluid.advect(trailPing.texture, trailPong, STEP);
+        const advected = trailPong;
+        trailPong = trailPing;
+        trailPing = advected;
+      }
+
       // Update fluid trail
       fluidMaterial.uniforms.uPrevTrails.value = trailPing.texture;
-      fluidMaterial.uniforms.uIsMoving.value = isMoving;
       quad.material = fluidMaterial;
       renderer.setRenderTarget(trailPong);
       renderer.render(scene, camera);
@@ -319,32 +550,75 @@ export function fluidSimulationEffect(canvas, options = {}) {
       trailPing = trailPong;
       trailPong = temp;
     }
+    peel(dt);
 
     // Display final result
     displayMaterial.uniforms.uFluid.value = trailPing.texture;
     quad.material = displayMaterial;
-    renderer.setRenderTarget(null);
-    renderer.render(scene, camera);
+    output.render(scene, camera);
+    if (pendingImages === 0 && !ready) {
+      ready = true;
+      emit("ready", { width: canvas.width, height: canvas.height });
+    }
+  }
+
+  // The trail buffers are gone with the context: the recreated ones start
+  // out empty
+  function handleContextLost() {
+    trailA.dispose();
+    trailB.dispose();
+    coverageTarget.dispose();
+    if (fluid) fluid.dispose();
+  }
+  function handleContextRestored() {
+    layers.forEach(({ texture }) => {
+      if (texture.image) texture.needsUpdate = true;
+    });
+    fluidMaterial.needsUpdate = true;
+    displayMaterial.needsUpdate = true;
+    coverageMaterial.needsUpdate = true;
   }
 
-  render();
+  // The reveal only follows the pointer, so just the static strategy
+  // (no trail, front image only) changes it
+  function applyOptions() {
+    const { motion } = effect;
+    fluidMaterial.uniforms.uDecay.value = opts.decay;
+    fluidMaterial.uniforms.uLineWidth.value = opts.lineWidth;
+    fluidMaterial.uniforms.uLineIntensity.value = motion.animate
+      ? opts.lineIntensity
+      : 0;
+    displayMaterial.uniforms.uFit.value = fitMode(opts.fit, "cover");
+    displayMaterial.uniforms.uFitPosition.value.fromArray(
+      parsePosition(opts.position)
+    );
+    displayMaterial.uniforms.uThreshold.value = opts.threshold;
+    displayMaterial.uniforms.uEdgeWidth.value = opts.edgeWidth;
+    coverageMaterial.uniforms.uThreshold.value = opts.threshold;
+    if (fluid) {
+      fluid.setOptions({
+        vorticity: opts.vorticity,
+        pressureIterations: opts.pressureIterations,
+        velocityDecay: opts.velocityDecay,
+        force: motion.animate ? opts.force : 0,
+        lineWidth: opts.lineWidth,
+      });
+    }
+  }
 
   function dispose() {
-    disposed = true;
-    if (movementTimeoutId !== null) {
-      clearTimeout(movementTimeoutId);
-    }
-    canvas.removeEventListener("mousemove", onMove);
-    canvas.removeEventListener("mouseleave", onLeave);
-    topTexture.dispose();
-    if (backImageUrl) bottomTexture.dispose();
+    unbindPointer();
+    layers.forEach(({ texture }) => texture.dispose());
     trailA.dispose();
     trailB.dispose();
+    coverageTarget.dispose();
+    if (fluid) fluid.dispose();
     quad.geometry.dispose();
     fluidMaterial.dispose();
     displayMaterial.dispose();
-    renderer.dispose();
+    coverageMaterial.dispose();
+    output.dispose();
   }
 
-  return dispose;
+  return effect.start(opts);
 }
@@ -1,16 +1,24 @@
 import * as THREE from "three";
+import { createRenderer } from "../core/renderer.js";
+import { createEffect } from "../core/effect.js";
+import { FIT_GLSL, fitMode, parsePosition } from "../core/fit.js";
 
 /**
  * Advanced Glitch Effect with dynamic distortions, chromatic aberration,
  * block displacement, digital noise, scan artifacts, and horror elements.
+ * `fit` and `position` place the image or video like CSS object-fit/object-position.
+ * Lifecycle events (ready, error, resize, dispose, contextLost) go to the
+ * `on*` callbacks and to `eventTarget` (default: the canvas).
  * @param {HTMLCanvasElement} canvas
- * @param {{ imageUrl?: string, videoElement?: HTMLVideoElement, speed?: number, intensity?: number, chromaShift?: number, displacement?: number, noiseAmount?: number, scanlineIntensity?: number, glitchFrequency?: number, horrorMode?: boolean, enableWarping?: boolean, warpingAmount?: number }} options
- * @returns {() => void} dispose
+ * @param {{ imageUrl?: string, videoElement?: HTMLVideoElement, fit?: "fill"|"cover"|"contain", position?: string|number[], speed?: number, intensity?: number, chromaShift?: number, displacement?: number, noiseAmount?: number, scanlineIntensity?: number, glitchFrequency?: number, horrorMode?: boolean, enableWarping?: boolean, warpingAmount?: number, sharedRenderer?: boolean, pauseWhenHidden?: boolean, eventTarget?: EventTarget, onReady?: Function, onError?: Function, onResize?: Function, onDispose?: Function, onContextLost?: Function }} options
+ * @returns {import("../core/controller.js").EffectController} controller (callable as dispose)
  */
 export function glitchEffect(canvas, options = {}) {
   const {
     imageUrl,
     videoElement = null,
+    fit = "fill", // "fill" | "cover" | "contain"
+    position = "center", // like CSS object-position
     speed = 1.0,
     intensity = 0.7,
     chromaShift = 3.0,
@@ -34,28 +42,66 @@ export function glitchEffect(canvas, options = {}) {
     horizontalStripeSize = 30.0,
     // New: control horror mode color grading (0 disables)
     horrorColorGradingAmount = 1.0,
+    sharedRenderer = false,
   } = options;
 
   if (!imageUrl && !videoElement) {
     throw new Error("Either imageUrl or videoElement is required");
   }
 
-  const renderer = new THREE.WebGLRenderer({
-    canvas,
+  const opts = {
+    fit,
+    position,
+    speed,
+    intensity,
+    chromaShift,
+    displacement,
+    noiseAmount,
+    scanlineIntensity,
+    glitchFrequency,
+    horrorMode,
+    enableWarping,
+    warpingAmount,
+    vignette,
+    edgeChromaticStrength,
+    signalLossStrength,
+    colorDistortionAmount,
+    blockSize,
+    horizontalStripeSize,
+    horrorColorGradingAmount,
+  };
+  const effect = createEffect(canvas, options, {
+    render,
+    apply: applyOptions,
+    contextRestored: handleContextRestored,
+    dispose,
+  });
+  const { emit } = effect;
+
+  const pixelRatio = Math.min(window.devicePixelRatio || 1, 2);
+  const output = createRenderer(canvas, {
+    sharedRenderer,
+    onContextLost: effect.onContextLost,
+    onContextRestored: effect.onContextRestored,
     alpha: true,
     antialias: false,
-    powerPreference: "high-performance",
   });
-  renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 2));
-  renderer.setSize(
+  output.setSize(
     Math.max(1, canvas.clientWidth),
     Math.max(1, canvas.clientHeight),
-    false
+    pixelRatio
   );
-  renderer.setClearColor(0x000000, 0);
 
   let tex;
   let isVideo = false;
+  const imageSize = new THREE.Vector2(0, 0); // video frames are sized in render()
+  let loaded = false; // image loaded, or video frame available
+  let ready = false;
+  const onVideoError = () =>
+    emit("error", {
+      error: videoElement.error,
+      url: videoElement.currentSrc || videoElement.src,
+    });
 
   if (videoElement) {
     // Video texture
@@ -74,10 +120,19 @@ export function glitchEffect(canvas, options = {}) {
     tex.format = THREE.RGBAFormat;
     tex.generateMipmaps = false;
     tex.needsUpdate = true;
+    videoElement.addEventListener("error", onVideoError);
   } else {
     // Image texture
     const loader = new THREE.TextureLoader();
-    tex = loader.load(imageUrl);
+    tex = loader.load(
+      imageUrl,
+      () => {
+        imageSize.set(tex.image.width, tex.image.height);
+        loaded = true;
+      },
+      undefined,
+      (error) => emit("error", { error, url: imageUrl })
+    );
     tex.colorSpace = THREE.SRGBColorSpace;
     tex.minFilter = THREE.LinearFilter;
     tex.magFilter = THREE.LinearFilter;
@@ -101,6 +156,9 @@ export function glitchEffect(canvas, options = {}) {
     uEnableWarping: { value: enableWarping ? 1.0 : 0.0 },
     uWarpingAmount: { value: warpingAmount },
     uResolution: { value: new THREE.Vector2(canvas.width, canvas.height) },
+    uImageSize: { value: imageSize },
+    uFit: { value: 0 },
+    uFitPosition: { value: new THREE.Vector2(0.5, 0.5) },
     uVignetteAmount: { value: vignette },
     uEdgeChromaticStrength: { value: edgeChromaticStrength },
     uSignalLossStrength: { value: signalLossStrength },
@@ -108,6 +166,8 @@ export function glitchEffect(canvas, options = {}) {
     uBlockSize: { value: blockSize },
     uHorizontalStripeSize: { value: horizontalStripeSize },
     uHorrorColorGradingAmount: { value: horrorColorGradingAmount },
+    uMotion: { value: 1.0 }, // 0 shows the plain image
+    uFlashes: { value: 1.0 }, // 0 skips inversions, static and brightness spikes
   };
 
   const material = new THREE.ShaderMaterial({
@@ -142,6 +202,10 @@ export function glitchEffect(canvas, options = {}) {
       uniform float uBlockSize;
       uniform float uHorizontalStripeSize;
       uniform float uHorrorColorGradingAmount;
+      uniform float uMotion;
+      uniform float uFlashes;
+      uniform vec2 uImageSize;
+      ${FIT_GLSL}
 
       // Better random functions
       float rand(vec2 co) {
@@ -236,6 +300,8 @@ export function glitchEffect(canvas, options = {}) {
         
         float glitch = glitchStrength(time);
         
+        if (uFlashes < 0.5) return color;
+
         // Inverted bars
         float bar = step(0.95, rand(floor(uv.y * 20.0 + time * 5.0)));
         color = mix(color, 1.0 - color, bar * glitch * 0.6 * uColorDistortionAmount);
@@ -344,7 +410,13 @@ export function glitchEffect(canvas, options = {}) {
       }
 
       void main() {
-        vec2 uv = vUv;
+        vec2 imageUv = fitUV(vUv, uResolution, uImageSize);
+        float mask = fitMask(imageUv);
+        vec2 uv = imageUv;
+        if (uMotion < 0.5) {
+          gl_FragColor = vec4(texture2D(tDiffuse, imageUv).rgb, 1.0) * mask;
+          return;
+        }
         
         // === HORROR MODE EFFECTS (if enabled) ===
         if (uHorrorMode > 0.5) {
@@ -382,7 +454,7 @@ export function glitchEffect(canvas, options = {}) {
         // === HORROR MODE EFFECTS ===
         if (uHorrorMode > 0.5) {
           // Add intense static
-          float staticVal = staticNoise(vUv, uTime);
+          float staticVal = staticNoise(vUv, uTime) * uFlashes;
           color = mix(color, vec3(staticVal), staticVal * 0.5);
           
           // Signal loss (black bars)
@@ -393,7 +465,7 @@ export function glitchEffect(canvas, options = {}) {
           color = horrorColorGrade(color, uTime);
           
           // Random inverted flashes
-          float flash = invertFlash(uTime);
+          float flash = invertFlash(uTime) * uFlashes;
           color = mix(color, 1.0 - color, flash * 0.8);
         }
         
@@ -415,7 +487,7 @@ export function glitchEffect(canvas, options = {}) {
           color = mix(color, edgeCol, edgeMask * uEdgeChromaticStrength);
         }
         
-        gl_FragColor = vec4(clamp(color, 0.0, 1.0), 1.0);
+        gl_FragColor = vec4(clamp(color, 0.0, 1.0), 1.0) * mask;
       }
     `,
     transparent: true,
@@ -425,22 +497,20 @@ export function glitchEffect(canvas, options = {}) {
   scene.add(quad);
 
   function resizeIfNeeded() {
-    const dpr = renderer.getPixelRatio();
-    const w = Math.max(1, Math.round(canvas.clientWidth * dpr));
-    const h = Math.max(1, Math.round(canvas.clientHeight * dpr));
+    const cssW = Math.max(1, canvas.clientWidth);
+    const cssH = Math.max(1, canvas.clientHeight);
+    const w = Math.round(cssW * pixelRatio);
+    const h = Math.round(cssH * pixelRatio);
     if (canvas.width !== w || canvas.height !== h) {
-      renderer.setSize(w, h, false);
+      output.setSize(cssW, cssH, pixelRatio);
       uniforms.uResolution.value.set(w, h);
+      emit("resize", { width: w, height: h });
     }
   }
 
-  let raf = 0;
-  let disposed = false;
-
-  function render() {
-    if (disposed) return;
+  function render(dt) {
     resizeIfNeeded();
-    uniforms.uTime.value += 0.016 * speed;
+    uniforms.uTime.value += dt * opts.speed * effect.motion.intensity;
 
     // Update video texture if needed
     if (
@@ -449,20 +519,54 @@ export function glitchEffect(canvas, options = {}) {
       videoElement.readyState >= videoElement.HAVE_CURRENT_DATA
     ) {
       tex.needsUpdate = true;
+      imageSize.set(videoElement.videoWidth, videoElement.videoHeight);
+      loaded = true;
     }
 
-    renderer.render(scene, camera);
-    raf = requestAnimationFrame(render);
+    output.render(scene, camera);
+    if (loaded && !ready) {
+      ready = true;
+      emit("ready", { width: canvas.width, height: canvas.height });
+    }
+  }
+
+  function handleContextRestored() {
+    if (tex.image) tex.needsUpdate = true;
+    material.needsUpdate = true;
   }
 
-  render();
+  // Reduced motion calms the glitches and can drop flashes or all animation
+  function applyOptions() {
+    const { motion } = effect;
+    uniforms.uFit.value = fitMode(opts.fit);
+    uniforms.uFitPosition.value.fromArray(parsePosition(opts.position));
+    uniforms.uIntensity.value = opts.intensity * motion.intensity;
+    uniforms.uChromaShift.value = opts.chromaShift;
+    uniforms.uDisplacement.value = opts.displacement * motion.intensity;
+    uniforms.uNoise.value = opts.noiseAmount * motion.intensity;
+    uniforms.uScanline.value = opts.scanlineIntensity;
+    uniforms.uGlitchFreq.value = opts.glitchFrequency;
+    uniforms.uHorrorMode.value = opts.horrorMode ? 1.0 : 0.0;
+    uniforms.uEnableWarping.value = opts.enableWarping ? 1.0 : 0.0;
+    uniforms.uWarpingAmount.value = opts.warpingAmount * motion.intensity;
+    uniforms.uVignetteAmount.value = opts.vignette;
+    uniforms.uEdgeChromaticStrength.value = opts.edgeChromaticStrength;
+    uniforms.uSignalLossStrength.value = opts.signalLossStrength;
+    uniforms.uColorDistortionAmount.value = opts.colorDistortionAmount;
+    uniforms.uBlockSize.value = opts.blockSize;
+    uniforms.uHorizontalStripeSize.value = opts.horizontalStripeSize;
+    uniforms.uHorrorColorGradingAmount.value = opts.horrorColorGradingAmount;
+    uniforms.uMotion.value = motion.animate ? 1.0 : 0.0;
+    uniforms.uFlashes.value = motion.flashes ? 1.0 : 0.0;
+  }
 
-  return function dispose() {
-    disposed = true;
-    cancelAnimationFrame(raf);
+  function dispose() {
+    if (isVideo) videoElement.removeEventListener("error", onVideoError);
     tex.dispose();
     quad.geometry.dispose();
     material.dispose();
-    renderer.dispose();
-  };
+    output.dispose();
+  }
+
+  return effect.start(opts);
 }
@@ -1,16 +1,104 @@
 import * as THREE from "three";
+import { createRenderer } from "../core/renderer.js";
+import { createStepper } from "../core/loop.js";
+import { bindPointer } from "../core/pointer.js";
+import { createEffect } from "../core/effect.js";
+import { FIT_GLSL, fitMode, parsePosition } from "../core/fit.js";
+import { detectRenderTargetType } from "../core/support.js";
+import { createRandom } from "../core/random.js";
+
+// Simultaneous touch points fed to the simulation besides the primary pointer
+const MAX_TOUCHES = 4;
+// Programmatic impulses a single physics step can take; more wait for the next
+const MAX_SPLASHES = 8;
+const MAX_SEGMENTS = 16;
+// Queued impulses beyond this (e.g. while paused) drop the oldest
+const MAX_PENDING = 256;
+
+// Simulation scale (simulation pixels per CSS pixel), cap on the longer
+// simulation side, and display pixel ratio cap for each quality tier
+const QUALITY = {
+  low: { scale: 0.35, maxSize: 256, pixelRatio: 1 },
+  medium: { scale: 0.5, maxSize: 512, pixelRatio: 1.5 },
+  high: { scale: 1, maxSize: 1024, pixelRatio: 2 },
+};
+// Simulation scales "auto" steps through to hold the target frame rate
+const AUTO_SCALES = [0.25, 0.35, 0.5, 0.7, 1];
+
+// Reading and writing simulation state. Float targets store
+// (pressure, velocity, gradX, gradY) as is; without renderable float
+// formats (PACKED_STATE) pressure and velocity are 16-bit fixed point in
+// RG and BA, and gradients are recomputed from neighbours when needed.
+const STATE_GLSL = `
+  #ifdef PACKED_STATE
+  const float STATE_RANGE = 8.0; // values are clamped to +-STATE_RANGE
+  vec2 packValue(float v) {
+    float n = floor(clamp(v / STATE_RANGE * 0.5 + 0.5, 0.0, 1.0) * 65535.0 + 0.5);
+    float hi = floor(n / 256.0);
+    return vec2(hi, n - hi * 256.0) / 255.0;
+  }
+  float unpackValue(vec2 c) {
+    float n = floor(c.x * 255.0 + 0.5) * 256.0 + floor(c.y * 255.0 + 0.5);
+    return (n / 65535.0 * 2.0 - 1.0) * STATE_RANGE;
+  }
+  vec4 readState(sampler2D state, vec2 uv) {
+    vec4 c = texture2D(state, uv);
+    return vec4(unpackValue(c.rg), unpackValue(c.ba), 0.0, 0.0);
+  }
+  vec4 writeState(vec4 s) {
+    return vec4(packValue(s.x), packValue(s.y));
+  }
+  #else
+  vec4 readState(sampler2D state, vec2 uv) {
+    return texture2D(state, uv);
+  }
+  vec4 writeState(vec4 s) {
+    return s;
+  }
+  #endif
+`;
 
 /**
  * Realistic water hover effect using 2-pass simulation (pressure/velocity + image distortion).
+ * `fit` and `position` place the image like CSS object-fit/object-position.
+ * The simulation runs below display resolution: `quality` picks a fixed tier
+ * ("low" | "medium" | "high"), or "auto" measures the frame rate and steps
+ * the simulation resolution up or down to hold `targetFps`.
+ * State is kept in float render targets, falling back to half floats or
+ * packed RGBA8 where those can't be rendered to.
+ * `obstacleMap` makes parts of the image solid so waves bounce off them:
+ * an image URL (bright, opaque texels are walls) or "alpha" (opaque texels
+ * of the source image). `walls` and `edges` pick whether obstacles and the
+ * canvas edges "reflect" or "absorb" waves.
+ * Highlights come from one light (`lightDirection`, `lightColor`,
+ * `specularPower`); `caustics` > 0 adds the bright patterns the rippled
+ * surface focuses onto the image below, `causticsDepth` deep.
+ * `splash()` and `stroke()` on the returned controller disturb the surface
+ * from code; `wind` ([x, y], its length is the strength) keeps small
+ * wind-blown ripples running on their own.
+ * Lifecycle events (ready, error, resize, dispose, contextLost) go to the
+ * `on*` callbacks and to `eventTarget` (default: the canvas).
  * @param {HTMLCanvasElement} canvas
- * @param {{ imageUrl: string, width?: number, height?: number }} options
- * @returns {() => void} dispose
+ * @param {{ imageUrl: string, fit?: "fill"|"cover"|"contain", position?: string|number[], quality?: "low"|"medium"|"high"|"auto", targetFps?: number, obstacleMap?: string|null, walls?: "reflect"|"absorb", edges?: "reflect"|"absorb", lightDirection?: number[]|string, lightColor?: string|Object, specularPower?: number, caustics?: number, causticsDepth?: number, wind?: number[]|string, windGusts?: number, width?: number, height?: number, sharedRenderer?: boolean, pauseWhenHidden?: boolean, touchAction?: string, eventTarget?: EventTarget, onReady?: Function, onError?: Function, onResize?: Function, onDispose?: Function, onContextLost?: Function }} options
+ * @returns {import("../core/controller.js").EffectController & {
+ *  getStats: () => { quality:string, renderTarget:"float"|"half-float"|"rgba8", fps:number, simulationWidth:number, simulationHeight:number, displayWidth:number, displayHeight:number },
+ *  splash: (x:number, y:number, options?:{ radius?:number, strength?:number }) => void,
+ *  stroke: (points:Array<{x:number, y:number}|number[]>, options?:{ width?:number, strength?:number }) => void,
+ * }} controller (callable as dispose); getStats() reports the current resolutions,
+ *  splash()/stroke() take x/y in 0..1 from the top-left and sizes in CSS pixels
  */
 export function realisticWaterHoverEffect(canvas, options = {}) {
   const {
     imageUrl,
     width = canvas.clientWidth || 512,
     height = canvas.clientHeight || 384,
+    fit = "fill", // "fill" | "cover" | "contain"
+    position = "center", // like CSS object-position
+    quality = "auto", // "low" | "medium" | "high" | "auto"
+    targetFps = 55, // frame rate "auto" quality tries to hold
+    obstacleMap = null, // image URL, or "alpha" for the source image's alpha
+    walls = "reflect", // what obstacles do with waves: "reflect" | "absorb"
+    edges = "reflect", // same for the canvas edges
     simulationSpeed = 1.0, // delta
     effectRadius = 20.0, // head radius
     headStrength = 1.0,
@@ -24,82 +112,278 @@ export function realisticWaterHoverEffect(canvas, options = {}) {
     brightness = 1.3,
     tint = "#ffffff",
     shadowIntensity = -0.28,
+    // Lighting: x right, y out of the screen, z down the image
+    lightDirection = [-3, 10, 3],
+    lightColor = "#ffffff",
+    specularPower = 60,
+    caustics = 0, // caustics brightness (0 = off)
+    causticsDepth = 2.0, // depth of the image below the surface
+    // Ambient ripples: direction and strength, and gusts per second
+    wind = [0, 0],
+    windGusts = 8,
+    sharedRenderer = false,
   } = options;
-
-  // Optimize resolution for smooth but fast performance
-  const renderWidth = Math.min(width, 384);
-  const renderHeight = Math.min(height, 288);
   if (!imageUrl) throw new Error("imageUrl is required");
 
+  const opts = {
+    fit,
+    position,
+    quality,
+    targetFps,
+    walls,
+    edges,
+    simulationSpeed,
+    effectRadius,
+    headStrength,
+    tailStrength,
+    tailWidth,
+    reflectionIntensity,
+    reflectionColor,
+    contrast,
+    saturation,
+    brightness,
+    tint,
+    shadowIntensity,
+    lightDirection,
+    lightColor,
+    specularPower,
+    caustics,
+    causticsDepth,
+    wind,
+    windGusts,
+  };
+  const effect = createEffect(canvas, options, {
+    render,
+    apply: applyOptions,
+    contextLost: handleContextLost,
+    contextRestored: handleContextRestored,
+    dispose,
+  });
+  const { emit } = effect;
+
   // Renderer
-  const renderer = new THREE.WebGLRenderer({
-    canvas,
+  const output = createRenderer(canvas, {
+    sharedRenderer,
+    onContextLost: effect.onContextLost,
+    onContextRestored: effect.onContextRestored,
     antialias: false, // Disable antialiasing for better performance
     alpha: true,
-    powerPreference: "high-performance", // Use dedicated GPU if available
   });
-  renderer.setPixelRatio(1); // Fixed pixel ratio for maximum performance
-  renderer.setSize(renderWidth, renderHeight, false);
-  renderer.setClearColor(0x000000, 0);
+  const renderer = output.renderer;
 
-  // Render targets (ping-pong) - use optimized resolution
+  // Render targets (ping-pong) at simulation resolution, sized in resize().
+  // Packed state can't be interpolated, so it is sampled with NearestFilter.
+  const renderTarget = detectRenderTargetType(renderer);
+  const packed = renderTarget === "rgba8";
+  const filter = packed ? THREE.NearestFilter : THREE.LinearFilter;
   const params = {
-    minFilter: THREE.LinearFilter,
-    magFilter: THREE.LinearFilter,
+    minFilter: filter,
+    magFilter: filter,
     format: THREE.RGBAFormat,
-    type: THREE.FloatType,
+    type: {
+      float: THREE.FloatType,
+      "half-float": THREE.HalfFloatType,
+      rgba8: THREE.UnsignedByteType,
+    }[renderTarget],
     depthBuffer: false,
     stencilBuffer: false,
   };
-  const rtA = new THREE.WebGLRenderTarget(renderWidth, renderHeight, params);
-  const rtB = new THREE.WebGLRenderTarget(renderWidth, renderHeight, params);
+  const stateDefines = packed ? { PACKED_STATE: 1 } : {};
+  let rtA = new THREE.WebGLRenderTarget(1, 1, params);
+  let rtB = new THREE.WebGLRenderTarget(1, 1, params);
   let ping = rtA,
     pong = rtB;
 
   // Load image texture
+  let loaded = false;
+  let ready = false;
+  const imageSize = new THREE.Vector2(0, 0);
   const loader = new THREE.TextureLoader();
-  const imageTex = loader.load(imageUrl);
+  const imageTex = loader.load(
+    imageUrl,
+    () => {
+      imageSize.set(imageTex.image.width, imageTex.image.height);
+      loaded = true;
+    },
+    undefined,
+    (error) => emit("error", { error, url: imageUrl })
+  );
   imageTex.colorSpace = THREE.SRGBColorSpace;
   imageTex.minFilter = THREE.LinearFilter;
   imageTex.magFilter = THREE.LinearFilter;
   imageTex.flipY = true;
   imageTex.generateMipmaps = false;
 
-  // Mouse uniforms
-  let mouse = new THREE.Vector4(-100, -100, 0, 0); // x, y, z=2.0 if hover, 0.0 if not
+  // Obstacles: the source image itself, or a separate map placed the same way
+  const useAlpha = obstacleMap === "alpha";
+  const obstacleSize = useAlpha ? imageSize : new THREE.Vector2(0, 0);
+  let obstacleTex = null;
+  if (obstacleMap && !useAlpha) {
+    obstacleTex = loader.load(
+      obstacleMap,
+      () => obstacleSize.set(obstacleTex.image.width, obstacleTex.image.height),
+      undefined,
+      (error) => emit("error", { error, url: obstacleMap })
+    );
+    obstacleTex.minFilter = THREE.LinearFilter;
+    obstacleTex.magFilter = THREE.LinearFilter;
+    obstacleTex.flipY = true;
+    obstacleTex.generateMipmaps = false;
+  }
+  const obstacleDefines = obstacleMap ? { OBSTACLES: 1 } : {};
+
+  // Pointer uniforms: the primary pointer drives iMouse/uPrevMouse,
+  // further touch points go to uTouches (xy = current, zw = previous)
+  const mouse = new THREE.Vector4(-100, -100, 0, 0); // x, y, z=2.0 if hover, 0.0 if not
   const prevMouse = new THREE.Vector2(-100, -100);
-  function onMove(e) {
-    const rect = canvas.getBoundingClientRect();
-    const renderWidth = canvas.width;
-    const renderHeight = canvas.height;
-    const x = ((e.clientX - rect.left) / rect.width) * renderWidth;
-    const y =
-      renderHeight - ((e.clientY - rect.top) / rect.height) * renderHeight;
-    // update prev before setting current
-    if (mouse.z > 1.0) {
-      prevMouse.set(mouse.x, mouse.y);
+  const touches = Array.from(
+    { length: MAX_TOUCHES },
+    () => new THREE.Vector4(-100, -100, -100, -100)
+  );
+  const pointers = new Map(); // pointerId -> { x, y, px, py } in simulation pixels
+
+  function syncPointers() {
+    const list = Array.from(pointers.values());
+    const primary = list[0];
+    if (primary) {
+      prevMouse.set(primary.px, primary.py);
+      mouse.set(primary.x, primary.y, 2.0, 0.0);
     } else {
-      prevMouse.set(x, y);
+      mouse.set(-100, -100, 0.0, 0.0);
     }
-    mouse.x = x;
-    mouse.y = y;
-    mouse.z = 2.0;
+    const extra = list.slice(1, MAX_TOUCHES + 1);
+    extra.forEach((t, i) => touches[i].set(t.x, t.y, t.px, t.py));
+    physicsMaterial.uniforms.uTouchCount.value = extra.length;
   }
-  function onLeave() {
-    mouse.x = -100;
-    mouse.y = -100;
-    mouse.z = 0.0;
+  function onMove(p) {
+    const x = p.x * simSize.x;
+    const y = simSize.y - p.y * simSize.y;
+    // update prev before setting current
+    const prev = pointers.get(p.id);
+    pointers.set(p.id, {
+      x,
+      y,
+      px: prev ? prev.x : x,
+      py: prev ? prev.y : y,
+    });
+    syncPointers();
+  }
+  function onLeave(p) {
+    pointers.delete(p.id);
+    syncPointers();
+  }
+  const unbindPointer = bindPointer(
+    canvas,
+    { move: onMove, leave: onLeave },
+    options
+  );
+
+  // Impulses from code wait here for the next physics step: splashes as
+  // (x, y, radius, strength) and stroke segments as (from, to) plus
+  // (width, strength); positions 0..1 from the top-left, sizes in CSS pixels.
+  // The uniforms take them in simulation pixels.
+  const splashes = Array.from(
+    { length: MAX_SPLASHES },
+    () => new THREE.Vector4()
+  );
+  const segments = Array.from(
+    { length: MAX_SEGMENTS },
+    () => new THREE.Vector4()
+  );
+  const segmentShapes = Array.from(
+    { length: MAX_SEGMENTS },
+    () => new THREE.Vector2()
+  );
+  const pendingSplashes = [];
+  const pendingSegments = [];
+  function queue(list, impulse) {
+    list.push(impulse);
+    if (list.length > MAX_PENDING) list.shift();
+  }
+
+  function splash(x, y, { radius = opts.effectRadius, strength = 1 } = {}) {
+    queue(pendingSplashes, [x, y, radius, strength]);
+  }
+
+  function stroke(points, { width = opts.tailWidth, strength = 1 } = {}) {
+    const list = (points || []).map((p) => (Array.isArray(p) ? p : [p.x, p.y]));
+    if (list.length === 1) list.push(list[0]); // a single point draws a dot
+    for (let i = 1; i < list.length; i++) {
+      queue(pendingSegments, [...list[i - 1], ...list[i], width, strength]);
+    }
+  }
+
+  // Hands queued impulses to the next step, scaled like pointer input
+  function flushImpulses() {
+    const physics = physicsMaterial.uniforms;
+    const scale = effect.motion.intensity;
+    const simX = (x) => x * simSize.x;
+    const simY = (y) => (1 - y) * simSize.y;
+    const nextSplashes = pendingSplashes.splice(0, MAX_SPLASHES);
+    nextSplashes.forEach(([x, y, r, s], i) =>
+      splashes[i].set(simX(x), simY(y), r * simScale, s * scale)
+    );
+    physics.uSplashCount.value = nextSplashes.length;
+    const nextSegments = pendingSegments.splice(0, MAX_SEGMENTS);
+    nextSegments.forEach(([ax, ay, bx, by, w, s], i) => {
+      segments[i].set(simX(ax), simY(ay), simX(bx), simY(by));
+      segmentShapes[i].set(w * simScale, s * scale);
+    });
+    physics.uSegmentCount.value = nextSegments.length;
+  }
+
+  // Wind: short strokes along the wind at random spots, with
+  // exponentially distributed gaps like rain
+  const random = createRandom();
+  let nextGust = 0;
+  function blow(dt) {
+    const [wx, wy] = parseVector(opts.wind) || [0, 0];
+    const force = Math.hypot(wx, wy);
+    if (force <= 0 || opts.windGusts <= 0) return;
+    nextGust -= dt;
+    while (nextGust <= 0) {
+      const x = random();
+      const y = random();
+      const length = 0.04 * force; // fraction of the element
+      stroke(
+        [
+          [x, y],
+          [x + (wx / force) * length, y + (wy / force) * length],
+        ],
+        { width: 6, strength: 0.15 * force }
+      );
+      nextGust += -Math.log(1 - random()) / opts.windGusts;
+    }
   }
-  canvas.addEventListener("mousemove", onMove);
-  canvas.addEventListener("mouseleave", onLeave);
 
   // Physics shader (pressure/velocity update)
   const physicsMaterial = new THREE.ShaderMaterial({
+    defines: {
+      MAX_TOUCHES,
+      MAX_SPLASHES,
+      MAX_SEGMENTS,
+      ...stateDefines,
+      ...obstacleDefines,
+    },
     uniforms: {
       iChannel0: { value: null },
+      uObstacles: { value: useAlpha ? imageTex : obstacleTex },
+      uObstacleSize: { value: obstacleSize },
+      uObstacleAlpha: { value: useAlpha ? 1.0 : 0.0 },
+      uWallAbsorb: { value: 0 },
+      uEdgeAbsorb: { value: 0 },
+      uFit: { value: 0 },
+      uFitPosition: { value: new THREE.Vector2(0.5, 0.5) },
       iMouse: { value: mouse },
       uPrevMouse: { value: prevMouse },
-      iResolution: { value: new THREE.Vector2(renderWidth, renderHeight) },
+      uTouches: { value: touches },
+      uTouchCount: { value: 0 },
+      uSplashes: { value: splashes },
+      uSplashCount: { value: 0 },
+      uSegments: { value: segments },
+      uSegmentShapes: { value: segmentShapes },
+      uSegmentCount: { value: 0 },
+      iResolution: { value: new THREE.Vector2(1, 1) },
       iFrame: { value: 0 },
       uDelta: { value: simulationSpeed },
       uRadius: { value: effectRadius },
@@ -120,6 +404,13 @@ export function realisticWaterHoverEffect(canvas, options = {}) {
       uniform sampler2D iChannel0;
       uniform vec4 iMouse;
       uniform vec2 uPrevMouse;
+      uniform vec4 uTouches[MAX_TOUCHES];
+      uniform int uTouchCount;
+      uniform vec4 uSplashes[MAX_SPLASHES]; // center, radius, strength
+      uniform int uSplashCount;
+      uniform vec4 uSegments[MAX_SEGMENTS]; // from, to
+      uniform vec2 uSegmentShapes[MAX_SEGMENTS]; // width, strength
+      uniform int uSegmentCount;
       uniform vec2 iResolution;
       uniform int iFrame;
       uniform float uDelta;
@@ -127,6 +418,29 @@ export function realisticWaterHoverEffect(canvas, options = {}) {
       uniform float uHeadStrength;
       uniform float uTailStrength;
       uniform float uTailWidth;
+      uniform sampler2D uObstacles;
+      uniform vec2 uObstacleSize;
+      uniform float uObstacleAlpha; // 1 = source image alpha, 0 = map brightness
+      uniform float uWallAbsorb; // 1 = obstacles absorb waves
+      uniform float uEdgeAbsorb; // 1 = canvas edges absorb waves
+      ${STATE_GLSL}
+      ${FIT_GLSL}
+
+      // Width in simulation pixels of the damping band along absorbing edges
+      const float ABSORB_WIDTH = 12.0;
+
+      // 1 inside an obstacle, placed over the image like the image itself
+      float solid(vec2 uv) {
+        #ifdef OBSTACLES
+        vec2 mapUv = fitUV(uv, iResolution, uObstacleSize);
+        vec4 c = texture2D(uObstacles, mapUv);
+        float brightness = dot(c.rgb, vec3(0.299, 0.587, 0.114)) * c.a;
+        float amount = mix(brightness, c.a, uObstacleAlpha);
+        return step(0.5, amount) * fitMask(mapUv);
+        #else
+        return 0.0;
+        #endif
+      }
 
       float distanceToSegment(vec2 p, vec2 a, vec2 b) {
         vec2 ab = b - a;
@@ -136,19 +450,36 @@ export function realisticWaterHoverEffect(canvas, options = {}) {
         return distance(p, proj);
       }
 
+      float pointerImpulse(vec2 fragCoord, vec2 pos, vec2 prevPos) {
+        // Head (current point) with smooth falloff
+        float dist = distance(fragCoord, pos);
+        float headFall = smoothstep(uRadius, 0.0, dist);
+        float impulse = uHeadStrength * headFall;
+
+        // Tail along movement segment with width and speed scaling
+        float dseg = distanceToSegment(fragCoord, prevPos, pos);
+        float tailFall = smoothstep(uTailWidth, 0.0, dseg);
+        float speed = length(pos - prevPos); // pixels per frame
+        float speedScale = clamp(speed * 0.02, 0.5, 3.0);
+        return impulse + uTailStrength * tailFall * speedScale;
+      }
+
       void main() {
         vec2 fragCoord = vUv * iResolution;
-        if (iFrame == 0) { gl_FragColor = vec4(0.0); return; }
+        if (iFrame == 0) { gl_FragColor = writeState(vec4(0.0)); return; }
+
+        // Water never enters obstacles
+        if (solid(vUv) > 0.5) { gl_FragColor = writeState(vec4(0.0)); return; }
 
-        vec4 prev = texture2D(iChannel0, vUv);
+        vec4 prev = readState(iChannel0, vUv);
         float pressure = prev.x;
         float pVel = prev.y;
 
         vec2 texel = 1.0 / iResolution;
-        float p_right = texture2D(iChannel0, vUv + vec2(texel.x, 0.0)).x;
-        float p_left  = texture2D(iChannel0, vUv - vec2(texel.x, 0.0)).x;
-        float p_up    = texture2D(iChannel0, vUv + vec2(0.0, texel.y)).x;
-        float p_down  = texture2D(iChannel0, vUv - vec2(0.0, texel.y)).x;
+        float p_right = readState(iChannel0, vUv + vec2(texel.x, 0.0)).x;
+        float p_left  = readState(iChannel0, vUv - vec2(texel.x, 0.0)).x;
+        float p_up    = readState(iChannel0, vUv + vec2(0.0, texel.y)).x;
+        float p_down  = readState(iChannel0, vUv - vec2(0.0, texel.y)).x;
 
         // Neumann-ish boundaries
         if (fragCoord.x <= 0.5) p_left = p_right;
@@ -156,6 +487,20 @@ export function realisticWaterHoverEffect(canvas, options = {}) {
         if (fragCoord.y <= 0.5) p_down = p_up;
         if (fragCoord.y >= iResolution.y - 0.5) p_up = p_down;
 
+        // Walls mirror this texel's pressure, so waves bounce off them
+        float wallContact = 0.0;
+        #ifdef OBSTACLES
+        float s_right = solid(vUv + vec2(texel.x, 0.0));
+        float s_left  = solid(vUv - vec2(texel.x, 0.0));
+        float s_up    = solid(vUv + vec2(0.0, texel.y));
+        float s_down  = solid(vUv - vec2(0.0, texel.y));
+        p_right = mix(p_right, pressure, s_right);
+        p_left  = mix(p_left, pressure, s_left);
+        p_up    = mix(p_up, pressure, s_up);
+        p_down  = mix(p_down, pressure, s_down);
+        wallContact = max(max(s_right, s_left), max(s_up, s_down));
+        #endif
+
         // Wave update
         pVel += uDelta * (-2.0 * pressure + p_right + p_left) * 0.25;
         pVel += uDelta * (-2.0 * pressure + p_up + p_down) * 0.25;
@@ -164,35 +509,57 @@ export function realisticWaterHoverEffect(canvas, options = {}) {
         pVel *= 1.0 - 0.002 * uDelta;
         pressure *= 0.999;
 
+        // Absorbing boundaries damp waves instead of sending them back
+        float edgeDist = min(
+          min(fragCoord.x, iResolution.x - fragCoord.x),
+          min(fragCoord.y, iResolution.y - fragCoord.y)
+        );
+        float edgeBand = 1.0 - smoothstep(0.0, ABSORB_WIDTH, edgeDist);
+        float damping = (1.0 - 0.2 * uEdgeAbsorb * edgeBand) *
+                        (1.0 - 0.3 * uWallAbsorb * wallContact);
+        pressure *= damping;
+        pVel *= damping;
+
         float gradX = (p_right - p_left) * 0.5;
         float gradY = (p_up - p_down) * 0.5;
         vec4 outCol = vec4(pressure, pVel, gradX, gradY);
 
         if (iMouse.z > 1.0) {
-          // Head (current point) with smooth falloff
-          float dist = distance(fragCoord, iMouse.xy);
-          float headFall = smoothstep(uRadius, 0.0, dist);
-          outCol.x += uHeadStrength * headFall;
-
-          // Tail along movement segment with width and speed scaling
-          float dseg = distanceToSegment(fragCoord, uPrevMouse, iMouse.xy);
-          float tailFall = smoothstep(uTailWidth, 0.0, dseg);
-          float speed = length(iMouse.xy - uPrevMouse); // pixels per frame
-          float speedScale = clamp(speed * 0.02, 0.5, 3.0);
-          outCol.x += uTailStrength * tailFall * speedScale;
+          outCol.x += pointerImpulse(fragCoord, iMouse.xy, uPrevMouse);
+        }
+        for (int i = 0; i < MAX_TOUCHES; i++) {
+          if (i >= uTouchCount) break;
+          outCol.x += pointerImpulse(fragCoord, uTouches[i].xy, uTouches[i].zw);
+        }
+        for (int i = 0; i < MAX_SPLASHES; i++) {
+          if (i >= uSplashCount) break;
+          vec4 s = uSplashes[i];
+          outCol.x += s.w * smoothstep(s.z, 0.0, distance(fragCoord, s.xy));
+        }
+        for (int i = 0; i < MAX_SEGMENTS; i++) {
+          if (i >= uSegmentCount) break;
+          vec4 seg = uSegments[i];
+          vec2 shape = uSegmentShapes[i];
+          float d = distanceToSegment(fragCoord, seg.xy, seg.zw);
+          outCol.x += shape.y * smoothstep(shape.x, 0.0, d);
         }
 
-        gl_FragColor = outCol;
+        gl_FragColor = writeState(outCol);
       }
     `,
   });
 
   // Display shader (image distortion)
   const displayMaterial = new THREE.ShaderMaterial({
+    defines: stateDefines,
     uniforms: {
       iChannel0: { value: null }, // physics buffer
+      uSimResolution: { value: null }, // simSize, set below
       iChannel1: { value: imageTex }, // image
-      iResolution: { value: new THREE.Vector2(renderWidth, renderHeight) },
+      iResolution: { value: new THREE.Vector2(1, 1) }, // display size
+      uImageSize: { value: imageSize },
+      uFit: { value: 0 },
+      uFitPosition: { value: new THREE.Vector2(0.5, 0.5) },
       uReflectionIntensity: { value: 0.5 },
       uReflectionColor: { value: new THREE.Color(1, 1, 1) },
       uContrast: { value: 0.65 },
@@ -200,6 +567,11 @@ export function realisticWaterHoverEffect(canvas, options = {}) {
       uBrightness: { value: 1.3 },
       uTint: { value: new THREE.Color(1, 1, 1) },
       uShadowIntensity: { value: -0.28 },
+      uLightDir: { value: new THREE.Vector3(-3, 10, 3).normalize() },
+      uLightColor: { value: new THREE.Color(1, 1, 1) },
+      uSpecularPower: { value: 60 },
+      uCaustics: { value: 0 },
+      uCausticsDepth: { value: 2 },
     },
     vertexShader: `
       varying vec2 vUv;
@@ -222,14 +594,48 @@ export function realisticWaterHoverEffect(canvas, options = {}) {
       uniform float uBrightness;
       uniform vec3  uTint;
       uniform float uShadowIntensity;
+      uniform vec2 uImageSize;
+      uniform vec2 uSimResolution;
+      uniform vec3 uLightDir;
+      uniform vec3 uLightColor;
+      uniform float uSpecularPower;
+      uniform float uCaustics;
+      uniform float uCausticsDepth;
+      ${FIT_GLSL}
+      ${STATE_GLSL}
+
+      // Light the surface focuses onto the image: where the height field
+      // curves, refracted rays converge (bright) or spread out (dark)
+      float causticLight(vec2 uv) {
+        vec2 texel = 1.0 / uSimResolution;
+        float center = readState(iChannel0, uv).x;
+        float laplacian =
+          readState(iChannel0, uv + vec2(texel.x, 0.0)).x +
+          readState(iChannel0, uv - vec2(texel.x, 0.0)).x +
+          readState(iChannel0, uv + vec2(0.0, texel.y)).x +
+          readState(iChannel0, uv - vec2(0.0, texel.y)).x -
+          4.0 * center;
+        float area = max(1.0 + uCausticsDepth * laplacian, 0.2);
+        return max(1.0 / area - 1.0, 0.0);
+      }
+
       void main() {
         vec2 uv = vUv;
-        vec4 data = texture2D(iChannel0, uv);
-        vec4 color = texture2D(iChannel1, uv + 0.2 * data.zw);
+        vec4 data = readState(iChannel0, uv);
+        #ifdef PACKED_STATE
+        vec2 texel = 1.0 / uSimResolution;
+        data.z = (readState(iChannel0, uv + vec2(texel.x, 0.0)).x -
+                  readState(iChannel0, uv - vec2(texel.x, 0.0)).x) * 0.5;
+        data.w = (readState(iChannel0, uv + vec2(0.0, texel.y)).x -
+                  readState(iChannel0, uv - vec2(0.0, texel.y)).x) * 0.5;
+        #endif
+        vec2 refractedUv = uv + 0.2 * data.zw;
+        vec2 imageUv = fitUV(refractedUv, iResolution, uImageSize);
+        vec4 color = texture2D(iChannel1, imageUv);
         
         // Add bright reflection without darkening
         vec3 normal = normalize(vec3(-data.z, 0.2, -data.w));
-        float reflection = pow(max(0.0, dot(normal, normalize(vec3(-3.0, 10.0, 3.0)))), 60.0);
+        float reflection = pow(max(0.0, dot(normal, uLightDir)), uSpecularPower);
         
         // Advanced filter uniforms
         float reflectionIntensity = uReflectionIntensity;
@@ -248,7 +654,13 @@ export function realisticWaterHoverEffect(canvas, options = {}) {
         
 
         // Apply reflection
-        color.rgb += reflectionColor * reflectionIntensity * reflection;
+        color.rgb += reflectionColor * uLightColor * reflectionIntensity * reflection;
+
+        // Caustics, from light entering at the refracted sample position
+        if (uCaustics > 0.0) {
+          float lightFacing = max(uLightDir.y, 0.0);
+          color.rgb += uLightColor * uCaustics * lightFacing * causticLight(refractedUv);
+        }
         
         // Apply contrast
         color.rgb = (color.rgb - 0.5) * contrast + 0.5;
@@ -266,27 +678,229 @@ export function realisticWaterHoverEffect(canvas, options = {}) {
         // Clamp to prevent over-brightening
         color.rgb = min(color.rgb, vec3(1.0));
         
-        gl_FragColor = color;
+        gl_FragColor = color * fitMask(imageUv);
+      }
+    `,
+  });
+
+  // Carries the state over to resized targets
+  const copyMaterial = new THREE.ShaderMaterial({
+    defines: stateDefines,
+    uniforms: { uState: { value: null } },
+    vertexShader: `
+      varying vec2 vUv;
+      void main() {
+        vUv = uv;
+        gl_Position = vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: `
+      precision highp float;
+      varying vec2 vUv;
+      uniform sampler2D uState;
+      ${STATE_GLSL}
+      void main() {
+        gl_FragColor = writeState(readState(uState, vUv));
       }
     `,
   });
 
-  // Apply initial advanced filter values from options
-  displayMaterial.uniforms.uReflectionIntensity.value = reflectionIntensity;
-  if (typeof reflectionColor === "object") {
-    displayMaterial.uniforms.uReflectionColor.value.set(
-      reflectionColor.r,
-      reflectionColor.g,
-      reflectionColor.b
+  // Colors come in as {r,g,b} (0..1) or CSS strings, used as-is in the shader
+  function setColor(color, value) {
+    if (typeof value === "object" && value !== null) {
+      color.setRGB(value.r, value.g, value.b, THREE.LinearSRGBColorSpace);
+    } else if (typeof value === "string") {
+      color.setStyle(value, THREE.LinearSRGBColorSpace);
+    }
+  }
+
+  // Vectors (light direction, wind) come in as arrays or "x,y[,z]" strings
+  function parseVector(value) {
+    const parts =
+      typeof value === "string" ? value.split(",").map(Number) : value;
+    if (!Array.isArray(parts)) return null;
+    if (parts.some((n) => typeof n !== "number" || isNaN(n))) return null;
+    return parts;
+  }
+  function setDirection(vector, value) {
+    const parts = parseVector(value);
+    if (!parts || parts.length < 3) return;
+    vector.set(parts[0], parts[1], parts[2]).normalize();
+  }
+
+  // Reduced motion weakens the waves pointers make (0 keeps the water flat).
+  // Radii are in CSS pixels, converted to simulation pixels.
+  function applyOptions(changed = []) {
+    if (changed.includes("quality")) resizeNeeded = true;
+    const physics = physicsMaterial.uniforms;
+    physics.uDelta.value = opts.simulationSpeed;
+    physics.uRadius.value = opts.effectRadius * simScale;
+    physics.uHeadStrength.value = opts.headStrength * effect.motion.intensity;
+    physics.uTailStrength.value = opts.tailStrength * effect.motion.intensity;
+    physics.uTailWidth.value = opts.tailWidth * simScale;
+    physics.uWallAbsorb.value = opts.walls === "absorb" ? 1 : 0;
+    physics.uEdgeAbsorb.value = opts.edges === "absorb" ? 1 : 0;
+    physics.uFit.value = fitMode(opts.fit);
+    physics.uFitPosition.value.fromArray(parsePosition(opts.position));
+
+    const display = displayMaterial.uniforms;
+    display.uFit.value = fitMode(opts.fit);
+    display.uFitPosition.value.fromArray(parsePosition(opts.position));
+    display.uReflectionIntensity.value = opts.reflectionIntensity;
+    setColor(display.uReflectionColor.value, opts.reflectionColor);
+    display.uContrast.value = opts.contrast;
+    display.uSaturation.value = opts.saturation;
+    display.uBrightness.value = opts.brightness;
+    setColor(display.uTint.value, opts.tint);
+    display.uShadowIntensity.value = opts.shadowIntensity;
+    setDirection(display.uLightDir.value, opts.lightDirection);
+    setColor(display.uLightColor.value, opts.lightColor);
+    display.uSpecularPower.value = opts.specularPower;
+    display.uCaustics.value = opts.caustics;
+    display.uCausticsDepth.value = opts.causticsDepth;
+  }
+
+  // Simulation and display resolution. "auto" starts in the middle of
+  // AUTO_SCALES and moves one step per second of measured frames.
+  const simSize = new THREE.Vector2(1, 1);
+  displayMaterial.uniforms.uSimResolution.value = simSize;
+  let simScale = 0.5;
+  let autoLevel = AUTO_SCALES.indexOf(0.5);
+  let resizeNeeded = true;
+  let cssWidth = 0;
+  let cssHeight = 0;
+  let pixelRatio = 0;
+
+  function tier() {
+    if (QUALITY[opts.quality]) return QUALITY[opts.quality];
+    return {
+      scale: AUTO_SCALES[autoLevel],
+      maxSize: QUALITY.high.maxSize,
+      pixelRatio: QUALITY.high.pixelRatio,
+    };
+  }
+
+  function resize() {
+    const w = canvas.clientWidth || cssWidth || width;
+    const h = canvas.clientHeight || cssHeight || height;
+    const { scale, maxSize, pixelRatio: maxRatio } = tier();
+    const ratio = Math.min(window.devicePixelRatio || 1, maxRatio);
+    if (!resizeNeeded && w === cssWidth && h === cssHeight) {
+      if (ratio === pixelRatio) return false;
+    }
+    resizeNeeded = false;
+    cssWidth = w;
+    cssHeight = h;
+    pixelRatio = ratio;
+    output.setSize(w, h, ratio);
+    displayMaterial.uniforms.iResolution.value.set(canvas.width, canvas.height);
+
+    const oldWidth = simSize.x;
+    const oldHeight = simSize.y;
+    simScale = Math.min(scale, maxSize / Math.max(w, h));
+    simSize.set(
+      Math.max(1, Math.round(w * simScale)),
+      Math.max(1, Math.round(h * simScale))
     );
+    if (simSize.x !== oldWidth || simSize.y !== oldHeight) resampleState();
+    physicsMaterial.uniforms.iResolution.value.copy(simSize);
+    // Pointer positions are in simulation pixels
+    const sx = simSize.x / oldWidth;
+    const sy = simSize.y / oldHeight;
+    pointers.forEach((p) => {
+      p.x *= sx;
+      p.px *= sx;
+      p.y *= sy;
+      p.py *= sy;
+    });
+    syncPointers();
+    applyOptions();
+    return true;
   }
-  displayMaterial.uniforms.uContrast.value = contrast;
-  displayMaterial.uniforms.uSaturation.value = saturation;
-  displayMaterial.uniforms.uBrightness.value = brightness;
-  if (typeof tint === "object") {
-    displayMaterial.uniforms.uTint.value.set(tint.r, tint.g, tint.b);
+
+  // Fresh targets at simSize with the current waves resampled into them,
+  // so resizes and "auto" quality changes don't flatten the water
+  function resampleState() {
+    const nextA = new THREE.WebGLRenderTarget(simSize.x, simSize.y, params);
+    const nextB = new THREE.WebGLRenderTarget(simSize.x, simSize.y, params);
+    if (frame > 0) {
+      copyMaterial.uniforms.uState.value = ping.texture;
+      quad.material = copyMaterial;
+      renderer.setRenderTarget(nextA);
+      renderer.render(scene, camera);
+    }
+    rtA.dispose();
+    rtB.dispose();
+    rtA = nextA;
+    rtB = nextB;
+    ping = rtA;
+    pong = rtB;
+  }
+
+  // Frame rate over the last second; "auto" steps down when it falls below
+  // 90% of the target, and back up after `upDelay` calm seconds. Falling
+  // right back after a step up doubles the delay, so a level that can't
+  // hold the target isn't retried every few seconds. A step down that
+  // doesn't speed frames up means the display sets the pace (e.g. 30 Hz in
+  // low-power mode): the step is undone and that rate becomes the target.
+  let fps = 0;
+  let frames = 0;
+  let elapsed = 0;
+  let calmSeconds = 0;
+  let upDelay = 3;
+  let steppedUp = false;
+  let fpsBeforeDrop = 0; // set until the last step down has been judged
+  let displayCap = Infinity;
+  function changeLevel(delta) {
+    autoLevel += delta;
+    steppedUp = delta > 0;
+    calmSeconds = 0;
+    resizeNeeded = true;
+  }
+  function measure(dt) {
+    frames++;
+    elapsed += dt;
+    if (elapsed < 1) return;
+    fps = frames / elapsed;
+    frames = 0;
+    elapsed = 0;
+    if (opts.quality !== "auto") return;
+    if (fps > displayCap * 1.1) displayCap = Infinity; // cap lifted
+    if (fpsBeforeDrop > 0) {
+      const before = fpsBeforeDrop;
+      fpsBeforeDrop = 0;
+      if (fps < before * 1.1) {
+        displayCap = before;
+        changeLevel(1);
+        return;
+      }
+    }
+    const target = Math.min(opts.targetFps, displayCap);
+    if (fps < target * 0.9 && autoLevel > 0) {
+      if (steppedUp) upDelay = Math.min(upDelay * 2, 60);
+      fpsBeforeDrop = fps;
+      changeLevel(-1);
+    } else if (fps >= target * 0.97) {
+      calmSeconds++;
+      if (calmSeconds >= upDelay && autoLevel < AUTO_SCALES.length - 1) {
+        changeLevel(1);
+      }
+    } else {
+      calmSeconds = 0;
+    }
+  }
+
+  function getStats() {
+    return {
+      quality: opts.quality,
+      renderTarget,
+      fps: Math.round(fps * 10) / 10,
+      simulationWidth: simSize.x,
+      simulationHeight: simSize.y,
+      displayWidth: canvas.width,
+      displayHeight: canvas.height,
+    };
   }
-  displayMaterial.uniforms.uShadowIntensity.value = shadowIntensity;
 
   // Fullscreen quad scene for both passes
   const scene = new THREE.Scene();
@@ -303,76 +917,74 @@ export function realisticWaterHoverEffect(canvas, options = {}) {
   );
   finalScene.add(finalQuad);
 
-  // Utility: resize canvas to display size (CSS * dpr)
-  function resizeCanvasToDisplaySize(canvas) {
-    const dpr = window.devicePixelRatio || 1;
-    const width = Math.round(canvas.clientWidth * dpr);
-    const height = Math.round(canvas.clientHeight * dpr);
-    if (canvas.width !== width || canvas.height !== height) {
-      canvas.width = width;
-      canvas.height = height;
-      return true;
-    }
-    return false;
-  }
-
+  // One physics step per 1/60 s whatever the refresh rate; `frame` counts
+  // steps, and step 0 clears the buffers (queued impulses wait for step 1,
+  // so a splash() right after creation or a resize still lands)
+  const stepper = createStepper(60);
   let frame = 0;
-  let disposed = false;
-  function render() {
-    if (disposed) return;
-    // Resize logic
-    if (resizeCanvasToDisplaySize(canvas)) {
-      renderer.setSize(canvas.width, canvas.height, false);
-      rtA.setSize(canvas.width, canvas.height);
-      rtB.setSize(canvas.width, canvas.height);
-      physicsMaterial.uniforms.iResolution.value.set(
-        canvas.width,
-        canvas.height
-      );
-      displayMaterial.uniforms.iResolution.value.set(
-        canvas.width,
-        canvas.height
-      );
-    }
-    // Update uniforms for speed/radius/strengths (in case user changes them dynamically)
-    physicsMaterial.uniforms.uDelta.value = simulationSpeed;
-    physicsMaterial.uniforms.uRadius.value = effectRadius;
-    physicsMaterial.uniforms.uHeadStrength.value = headStrength;
-    physicsMaterial.uniforms.uTailStrength.value = tailStrength;
-    physicsMaterial.uniforms.uTailWidth.value = tailWidth;
+  function step() {
+    if (frame > 0) flushImpulses();
     physicsMaterial.uniforms.uPrevMouse.value.set(prevMouse.x, prevMouse.y);
-    // Physics pass
     physicsMaterial.uniforms.iChannel0.value = ping.texture;
     physicsMaterial.uniforms.iMouse.value = mouse;
     physicsMaterial.uniforms.iFrame.value = frame;
     quad.material = physicsMaterial;
     renderer.setRenderTarget(pong);
     renderer.render(scene, camera);
-    renderer.setRenderTarget(null);
-    // Display pass
-    displayMaterial.uniforms.iChannel0.value = pong.texture;
-    renderer.render(finalScene, finalCamera);
     // Swap ping-pong
     let temp = ping;
     ping = pong;
     pong = temp;
     frame++;
-    requestAnimationFrame(render);
   }
-  render();
+
+  function render(dt) {
+    measure(dt);
+    if (resize()) {
+      emit("resize", { width: canvas.width, height: canvas.height });
+    }
+    blow(dt);
+    const steps = Math.max(stepper(dt), frame === 0 ? 1 : 0);
+    for (let i = 0; i < steps; i++) step();
+    // Display pass on the latest state
+    displayMaterial.uniforms.iChannel0.value = ping.texture;
+    output.render(finalScene, finalCamera);
+    if (loaded && !ready) {
+      ready = true;
+      emit("ready", { width: canvas.width, height: canvas.height });
+    }
+  }
+
+  // The simulation buffers are gone with the context: free them, and start
+  // again from a flat surface (frame 0) once it is back
+  function handleContextLost() {
+    rtA.dispose();
+    rtB.dispose();
+  }
+  function handleContextRestored() {
+    if (imageTex.image) imageTex.needsUpdate = true;
+    if (obstacleTex && obstacleTex.image) obstacleTex.needsUpdate = true;
+    physicsMaterial.needsUpdate = true;
+    displayMaterial.needsUpdate = true;
+    copyMaterial.needsUpdate = true;
+    frame = 0;
+  }
 
   function dispose() {
-    disposed = true;
-    canvas.removeEventListener("mousemove", onMove);
-    canvas.removeEventListener("mouseleave", onLeave);
+    unbindPointer();
     rtA.dispose();
     rtB.dispose();
     imageTex.dispose();
+    if (obstacleTex) obstacleTex.dispose();
     quad.geometry.dispose();
     finalQuad.geometry.dispose();
     physicsMaterial.dispose();
     displayMaterial.dispose();
-    renderer.dispose();
+    copyMaterial.dispose();
+    output.dispose();
   }
-  return dispose;
+
+  const controller = effect.start(opts, { splash, stroke });
+  controller.getStats = getStats;
+  return controller;
 }
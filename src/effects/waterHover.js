@@ -1,70 +1,166 @@
 import {
-  WebGLRenderer,
   Scene,
   OrthographicCamera,
   TextureLoader,
   SRGBColorSpace,
   LinearFilter,
   Vector2,
+  Vector3,
+  Vector4,
   PlaneGeometry,
   ShaderMaterial,
   Mesh,
-  Clock,
 } from "three";
+import { createRenderer } from "../core/renderer.js";
+import { bindPointer } from "../core/pointer.js";
+import { createEffect } from "../core/effect.js";
+import { createRandom } from "../core/random.js";
+import { FIT_GLSL, fitMode, parsePosition } from "../core/fit.js";
+
+// Each ring takes about 3 uniform vectors; more would overflow the
+// fragment uniform limit of many mobile GPUs
+const RIPPLE_LIMIT = 32;
 
 /**
  * Water ripple hover effect that distorts an image texture based on mouse.
+ * Ripples go into a pool of `maxRipples` rings (at most 32) that spread, fade
+ * and interfere independently. `trigger` picks what drops them: "hover" (pointer movement
+ * and taps), "click" (clicks and taps) or "none"; `drop()` on the returned
+ * controller fires one from code. With `rainRate` > 0, randomized drops keep
+ * the surface moving on their own (repeatable with `rainSeed`).
+ * `fit` and `position` place the image like CSS object-fit/object-position.
+ * Rings are round at any aspect ratio: sizes are fractions of the shorter
+ * side, or CSS pixels through the `*Px` options, which win when set.
+ * With `hiDPI` the canvas renders at devicePixelRatio (up to `maxPixelRatio`)
+ * and follows size and pixel ratio changes every frame.
+ * Lifecycle events (ready, error, resize, dispose, contextLost) go to the
+ * `on*` callbacks and to `eventTarget` (default: the canvas).
  * @param {HTMLCanvasElement} canvas
- * @param {{ imageUrl:string, strength?:number, radius?:number }} options
- * @returns {() => void} dispose
+ * @param {{ imageUrl:string, fit?:"fill"|"cover"|"contain", position?:string|number[], strength?:number, radius?:number, pulseSpeed?:number, frequency?:number, strengthPx?:number|null, radiusPx?:number|null, pulseSpeedPx?:number|null, wavelengthPx?:number|null, maxRipples?:number, spawnInterval?:number, trigger?:"hover"|"click"|"none", rainRate?:number, rainStrengthMin?:number, rainStrengthMax?:number, rainSizeMin?:number, rainSizeMax?:number, rainSeed?:number|null, hiDPI?:boolean, maxPixelRatio?:number, sharedRenderer?:boolean, pauseWhenHidden?:boolean, touchAction?:string, eventTarget?:EventTarget, onReady?:Function, onError?:Function, onResize?:Function, onDispose?:Function, onContextLost?:Function }} options
+ * @returns {import("../core/controller.js").EffectController & {
+ *  drop: (x:number, y:number, options?:{ strength?:number, speed?:number }) => void,
+ * }} controller (callable as dispose); drop() takes x/y in 0..1 from the top-left
  */
 export function waterHoverEffect(canvas, options = {}) {
   if (!canvas) throw new Error("waterHoverEffect: canvas is required");
   const {
     imageUrl,
+    fit = "fill", // "fill" | "cover" | "contain"
+    position = "center", // like CSS object-position
     strength = 0.08,
     radius = 0.25, // used as ring width default
     pulseSpeed = 1.2,
     decay = 1.8,
     frequency = 20.0,
+    // Same in CSS pixels, so a config looks alike at every element size
+    strengthPx = null,
+    radiusPx = null, // ring width
+    pulseSpeedPx = null, // px per second
+    wavelengthPx = null, // replaces frequency
+    maxRipples = 8, // rings alive at the same time
+    spawnInterval = 0.08, // seconds between ripples while the pointer moves
+    trigger = "hover", // "hover" | "click" | "none"
+    // Ambient rain: drops per second (0 = off), amplitude and ring width ranges
+    rainRate = 0,
+    rainStrengthMin = 0.2,
+    rainStrengthMax = 0.6,
+    rainSizeMin = 0.3, // relative to radius
+    rainSizeMax = 0.7,
+    rainSeed = null, // number for a repeatable pattern
+    hiDPI = true, // render at devicePixelRatio for sharp output on retina screens
+    maxPixelRatio = 2, // cap, so large canvases stay fast
+    sharedRenderer = false,
   } = options;
   if (!imageUrl)
     throw new Error("waterHoverEffect: options.imageUrl is required");
 
-  const renderer = new WebGLRenderer({
-    canvas,
+  const opts = {
+    fit,
+    position,
+    strength,
+    radius,
+    pulseSpeed,
+    decay,
+    frequency,
+    strengthPx,
+    radiusPx,
+    pulseSpeedPx,
+    wavelengthPx,
+    spawnInterval,
+    trigger,
+    rainRate,
+    rainStrengthMin,
+    rainStrengthMax,
+    rainSizeMin,
+    rainSizeMax,
+  };
+  const effect = createEffect(canvas, options, {
+    render,
+    apply: applyOptions,
+    contextRestored: handleContextRestored,
+    dispose,
+  });
+  const { emit } = effect;
+
+  const output = createRenderer(canvas, {
+    sharedRenderer,
+    onContextLost: effect.onContextLost,
+    onContextRestored: effect.onContextRestored,
     antialias: false, // Disable antialiasing for better performance
-    alpha: true,
-    powerPreference: "high-performance", // Use dedicated GPU if available
+    alpha: true, // transparent background
+    outputColorSpace: SRGBColorSpace, // proper color space
+    toneMapping: 0, // no tone mapping
   });
-  renderer.setPixelRatio(1); // Fixed pixel ratio for maximum performance
-  renderer.setClearColor(0x000000, 0); // transparent background
-  renderer.outputColorSpace = SRGBColorSpace; // proper color space
-  renderer.toneMappingExposure = 1.0; // no tone mapping
-  renderer.toneMapping = 0; // LinearToneMapping
 
   const scene = new Scene();
   const camera = new OrthographicCamera(-1, 1, 1, -1, 0, 10);
   camera.position.z = 1;
 
+  let loaded = false;
+  let ready = false;
+  const imageSize = new Vector2(0, 0);
   const loader = new TextureLoader();
-  const texture = loader.load(imageUrl);
+  const texture = loader.load(
+    imageUrl,
+    () => {
+      imageSize.set(texture.image.width, texture.image.height);
+      loaded = true;
+    },
+    undefined,
+    (error) => emit("error", { error, url: imageUrl })
+  );
   texture.colorSpace = SRGBColorSpace;
   texture.minFilter = LinearFilter;
   texture.magFilter = LinearFilter;
   texture.flipY = true; // fix texture orientation
   texture.generateMipmaps = false; // disable mipmaps
 
+  // Ripple pool: xy = origin in UV, z = age in seconds, w = amplitude (0 = free),
+  // plus each ring's expansion speed and width (relative to radius)
+  const rippleCount = Math.min(
+    Math.max(1, Math.floor(maxRipples)),
+    RIPPLE_LIMIT
+  );
+  const ripples = Array.from(
+    { length: rippleCount },
+    () => new Vector4(0, 0, 0, 0)
+  );
+  const rippleSpeeds = new Array(rippleCount).fill(pulseSpeed);
+  const rippleSizes = new Array(rippleCount).fill(1.0);
+
   const uniforms = {
     uTime: { value: 0 },
     uTex: { value: texture },
     uResolution: { value: new Vector2(1, 1) },
-    uMouse: { value: new Vector2(-10, -10) }, // offscreen init
+    uAspect: { value: new Vector2(1, 1) },
+    uImageSize: { value: imageSize },
+    uFit: { value: 0 },
+    uFitPosition: { value: new Vector2(0.5, 0.5) },
+    uRipples: { value: ripples },
+    uRippleSpeeds: { value: rippleSpeeds },
+    uRippleSizes: { value: rippleSizes },
     uStrength: { value: strength },
     uRadius: { value: radius },
-    uPulseTime: { value: 0 },
-    uPulseAmp: { value: 0 },
-    uPulseSpeed: { value: pulseSpeed },
     uFrequency: { value: frequency },
   };
 
@@ -80,14 +176,17 @@ export function waterHoverEffect(canvas, options = {}) {
     precision highp float;
     varying vec2 vUv;
     uniform sampler2D uTex;
-    uniform vec2 uMouse; // in UV space (0..1)
+    uniform vec2 uResolution;
+    uniform vec2 uAspect; // UV to units of the shorter side
+    uniform vec2 uImageSize;
+    uniform vec4 uRipples[MAX_RIPPLES]; // origin (UV), age, amplitude
+    uniform float uRippleSpeeds[MAX_RIPPLES]; // ring expansion speeds
+    uniform float uRippleSizes[MAX_RIPPLES]; // ring widths, relative to uRadius
     uniform float uTime;
     uniform float uStrength; // displacement intensity
-    uniform float uRadius;   // radius of effect in UV
-    uniform float uPulseTime; // time since last pulse
-    uniform float uPulseAmp;  // decaying amplitude
-    uniform float uPulseSpeed; // ring expansion speed
+    uniform float uRadius;   // ring width
     uniform float uFrequency;  // wave frequency
+    ${FIT_GLSL}
 
     // Ring-shaped envelope centered at expanding radius
     float ringEnvelope(float d, float t, float speed, float width) {
@@ -97,23 +196,33 @@ export function waterHoverEffect(canvas, options = {}) {
     }
 
     void main(){
-      float d = distance(vUv, uMouse);
-      float env = ringEnvelope(d, uPulseTime, uPulseSpeed, uRadius);
-      vec2 dir = normalize(vUv - uMouse + 1e-6);
-      float phase = (d - uPulseTime * uPulseSpeed) * uFrequency;
-      float wave = sin(phase);
-      float disp = env * wave * uStrength * uPulseAmp;
-      vec2 uv = vUv + dir * disp;
+      // Rings add up, so overlapping ripples interfere. Distances are
+      // measured in shorter-side units so rings stay round.
+      vec2 p = vUv * uAspect;
+      vec2 offset = vec2(0.0);
+      for (int i = 0; i < MAX_RIPPLES; i++) {
+        vec4 ripple = uRipples[i];
+        if (ripple.w <= 0.0) continue;
+        vec2 origin = ripple.xy * uAspect;
+        float d = distance(p, origin);
+        float speed = uRippleSpeeds[i];
+        float env = ringEnvelope(d, ripple.z, speed, uRadius * uRippleSizes[i]);
+        vec2 dir = normalize(p - origin + 1e-6);
+        float phase = (d - ripple.z * speed) * uFrequency;
+        offset += dir * env * sin(phase) * ripple.w;
+      }
+      vec2 uv = fitUV(vUv + offset * uStrength / uAspect, uResolution, uImageSize);
       
       vec4 color = texture2D(uTex, uv);
       color.rgb = pow(color.rgb, vec3(0.5)); // moderate gamma
       color.rgb *= 1.1; // gentle brightness boost
-      gl_FragColor = color;
+      gl_FragColor = color * fitMask(uv);
     }
   `;
 
   const geometry = new PlaneGeometry(2, 2, 1, 1);
   const material = new ShaderMaterial({
+    defines: { MAX_RIPPLES: rippleCount },
     vertexShader,
     fragmentShader,
     uniforms,
@@ -126,88 +235,213 @@ export function waterHoverEffect(canvas, options = {}) {
   const mesh = new Mesh(geometry, material);
   scene.add(mesh);
 
+  // Checked every frame, so layout changes and moving the window to a
+  // screen with another pixel ratio are both picked up
+  let cssWidth = 0;
+  let cssHeight = 0;
+  let pixelRatio = 0;
   function resize() {
-    const w = canvas.clientWidth || canvas.width || 800;
-    const h = canvas.clientHeight || canvas.height || 600;
-    renderer.setSize(w, h, false);
+    const w = canvas.clientWidth || cssWidth || canvas.width || 800;
+    const h = canvas.clientHeight || cssHeight || canvas.height || 600;
+    const ratio = hiDPI
+      ? Math.min(window.devicePixelRatio || 1, maxPixelRatio)
+      : 1;
+    if (w === cssWidth && h === cssHeight && ratio === pixelRatio) return false;
+    cssWidth = w;
+    cssHeight = h;
+    pixelRatio = ratio;
+    output.setSize(w, h, ratio);
+    uniforms.uResolution.value.set(w, h);
+    uniforms.uAspect.value.set(w, h).divideScalar(Math.min(w, h));
+    return true;
   }
   resize();
 
-  const clock = new Clock();
-  let raf = 0;
-  let disposed = false;
-  // Removed pulse lock - allow immediate restart on mouse move
-
-  function onMove(e) {
-    const rect = canvas.getBoundingClientRect();
-    const x = (e.clientX - rect.left) / rect.width;
-    const y = (e.clientY - rect.top) / rect.height;
-    uniforms.uMouse.value.set(x, 1.0 - y);
-    // immediate restart: stop current ripple and start new one
-    uniforms.uPulseTime.value = 0.0;
-    uniforms.uPulseAmp.value = 1.0;
+  // A `*Px` option in shorter-side units, or the relative one when unset
+  function scaled(pxValue, value) {
+    if (pxValue === null || pxValue === undefined) return value;
+    return pxValue / Math.min(cssWidth, cssHeight);
   }
-  function onLeave() {
-    uniforms.uMouse.value.set(-10, -10);
-    uniforms.uPulseAmp.value = 0.0;
+  const pulseSpeedNow = () => scaled(opts.pulseSpeedPx, opts.pulseSpeed);
+
+  // New ripples take a free slot, or replace the weakest ring
+  function spawnRipple(
+    x,
+    y,
+    amplitude = 1.0,
+    speed = pulseSpeedNow(),
+    size = 1.0
+  ) {
+    let slot = 0;
+    ripples.forEach((ripple, i) => {
+      if (ripple.w < ripples[slot].w) slot = i;
+    });
+    ripples[slot].set(x, y, 0.0, amplitude);
+    rippleSpeeds[slot] = speed;
+    rippleSizes[slot] = size;
+  }
+
+  // x/y in 0..1 from the top-left, like pointer positions
+  function drop(x, y, { strength = 1.0, speed = pulseSpeedNow() } = {}) {
+    spawnRipple(x, 1.0 - y, strength, speed);
+  }
+
+  // Ambient rain: exponentially distributed gaps give an irregular patter
+  const random = createRandom(rainSeed);
+  const between = (min, max) => min + (max - min) * random();
+  let nextDrop = 0;
+  function rain(dt) {
+    if (opts.rainRate <= 0) return;
+    nextDrop -= dt;
+    while (nextDrop <= 0) {
+      spawnRipple(
+        random(),
+        random(),
+        between(opts.rainStrengthMin, opts.rainStrengthMax),
+        pulseSpeedNow(),
+        between(opts.rainSizeMin, opts.rainSizeMax)
+      );
+      nextDrop += -Math.log(1 - random()) / opts.rainRate;
+    }
+  }
+
+  let lastSpawn = -Infinity;
+  function onMove(p) {
+    if (opts.trigger !== "hover") return;
+    const now = uniforms.uTime.value;
+    if (now - lastSpawn < opts.spawnInterval) return;
+    lastSpawn = now;
+    spawnRipple(p.x, 1.0 - p.y);
+  }
+  function onTap(p) {
+    if (opts.trigger === "none") return;
+    // A touch tap already spawned its ring on pointerdown (via move)
+    if (opts.trigger === "hover" && p.type === "touch") return;
+    lastSpawn = uniforms.uTime.value;
+    spawnRipple(p.x, 1.0 - p.y);
   }
-  canvas.addEventListener("mousemove", onMove);
-  canvas.addEventListener("mouseleave", onLeave);
+  const unbindPointer = bindPointer(
+    canvas,
+    { move: onMove, tap: onTap },
+    options
+  );
 
-  function render() {
-    if (disposed) return;
-    raf = requestAnimationFrame(render);
-    const dt = clock.getDelta();
+  function render(dt) {
+    if (resize()) {
+      applyOptions(); // pixel sizes depend on the element size
+      emit("resize", { width: canvas.width, height: canvas.height });
+    }
     uniforms.uTime.value += dt;
-    uniforms.uPulseTime.value += dt;
-    // exponential decay of pulse amplitude
-    uniforms.uPulseAmp.value *= Math.exp(-decay * dt);
-    // auto-stop when amplitude gets very low
-    if (uniforms.uPulseAmp.value < 0.01) {
-      uniforms.uPulseAmp.value = 0.0;
+    rain(dt);
+    // Age every ring and decay its amplitude exponentially
+    const fade = Math.exp(-opts.decay * dt);
+    ripples.forEach((ripple) => {
+      if (ripple.w <= 0) return;
+      ripple.z += dt;
+      ripple.w *= fade;
+      // free the slot once the ring is no longer visible
+      if (ripple.w < 0.01) ripple.w = 0.0;
+    });
+    output.render(scene, camera);
+    if (loaded && !ready) {
+      ready = true;
+      emit("ready", { width: canvas.width, height: canvas.height });
     }
-    renderer.render(scene, camera);
   }
-  render();
+
+  function handleContextRestored() {
+    if (texture.image) texture.needsUpdate = true;
+    material.needsUpdate = true;
+  }
+
+  // Reduced motion scales the displacement (0 leaves the still image)
+  function applyOptions() {
+    uniforms.uFit.value = fitMode(opts.fit);
+    uniforms.uFitPosition.value.fromArray(parsePosition(opts.position));
+    uniforms.uStrength.value =
+      scaled(opts.strengthPx, opts.strength) * effect.motion.intensity;
+    uniforms.uRadius.value = scaled(opts.radiusPx, opts.radius);
+    uniforms.uFrequency.value =
+      opts.wavelengthPx === null || opts.wavelengthPx === undefined
+        ? opts.frequency
+        : (2 * Math.PI) / scaled(opts.wavelengthPx, 1);
+  }
 
   function dispose() {
-    disposed = true;
-    cancelAnimationFrame(raf);
-    canvas.removeEventListener("mousemove", onMove);
-    canvas.removeEventListener("mouseleave", onLeave);
+    unbindPointer();
     geometry.dispose();
     material.dispose();
-    renderer.dispose();
+    output.dispose();
     texture.dispose();
   }
 
-  return dispose;
+  return effect.start(opts, { drop });
 }
 
 /**
  * Water hover effect with liquid simulation (wavy effect) on an image.
+ * A finely subdivided plane is displaced by three travelling sine waves,
+ * each with its own amplitude, speed and frequency; `amplitude` scales all.
+ * `fit` and `position` place the image like CSS object-fit/object-position.
+ * Emits the same lifecycle events as waterHoverEffect.
  * @param {HTMLCanvasElement} canvas
- * @param {{ imageUrl:string, amplitude?:number, width?:number, height?:number }} options
- * @returns {() => void} dispose
+ * @param {{ imageUrl:string, fit?:"fill"|"cover"|"contain", position?:string|number[], amplitude?:number, wave1Amplitude?:number, wave1Speed?:number, wave1Frequency?:number, wave2Amplitude?:number, wave2Speed?:number, wave2Frequency?:number, wave3Amplitude?:number, wave3Speed?:number, wave3Frequency?:number, width?:number, height?:number, sharedRenderer?:boolean, pauseWhenHidden?:boolean, touchAction?:string, eventTarget?:EventTarget, onReady?:Function, onError?:Function, onResize?:Function, onDispose?:Function, onContextLost?:Function }} options
+ * @returns {import("../core/controller.js").EffectController} controller (callable as dispose)
  */
 export function waterHoverLiquidEffect(canvas, options = {}) {
   const {
     imageUrl,
     width = canvas.clientWidth || 800,
     height = canvas.clientHeight || 600,
+    fit = "fill", // "fill" | "cover" | "contain"
+    position = "center", // like CSS object-position
     amplitude = 1.0,
+    // Wave 1 runs along x, wave 2 along y, wave 3 diagonally
+    wave1Amplitude = 0.15,
+    wave1Speed = 0.6,
+    wave1Frequency = 2.0,
+    wave2Amplitude = 0.1,
+    wave2Speed = 1.0,
+    wave2Frequency = 3.0,
+    wave3Amplitude = 0.08,
+    wave3Speed = 0.7,
+    wave3Frequency = 2.4,
+    sharedRenderer = false,
   } = options;
   if (!imageUrl)
     throw new Error("waterHoverLiquidEffect: options.imageUrl is required");
 
-  const renderer = new WebGLRenderer({
-    canvas,
+  const opts = {
+    fit,
+    position,
+    amplitude,
+    wave1Amplitude,
+    wave1Speed,
+    wave1Frequency,
+    wave2Amplitude,
+    wave2Speed,
+    wave2Frequency,
+    wave3Amplitude,
+    wave3Speed,
+    wave3Frequency,
+  };
+  const effect = createEffect(canvas, options, {
+    render,
+    apply: applyOptions,
+    contextRestored: handleContextRestored,
+    dispose,
+  });
+  const { emit } = effect;
+
+  const pixelRatio = Math.min(window.devicePixelRatio || 1, 2);
+  const output = createRenderer(canvas, {
+    sharedRenderer,
+    onContextLost: effect.onContextLost,
+    onContextRestored: effect.onContextRestored,
     antialias: true,
     alpha: true,
   });
-  renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 2));
-  renderer.setSize(width, height, false);
-  renderer.setClearColor(0x000000, 0);
+  output.setSize(width, height, pixelRatio);
 
   const scene = new Scene();
   const camera = new OrthographicCamera(-1.4, 1.4, 1, -1, 0, 10);
@@ -216,8 +450,19 @@ export function waterHoverLiquidEffect(canvas, options = {}) {
   const geometry = new PlaneGeometry(2.8, 2.0, 200, 200);
 
   // Load image as texture
+  let loaded = false;
+  let ready = false;
+  const imageSize = new Vector2(0, 0);
   const loader = new TextureLoader();
-  const texture = loader.load(imageUrl);
+  const texture = loader.load(
+    imageUrl,
+    () => {
+      imageSize.set(texture.image.width, texture.image.height);
+      loaded = true;
+    },
+    undefined,
+    (error) => emit("error", { error, url: imageUrl })
+  );
   texture.colorSpace = SRGBColorSpace;
   texture.minFilter = LinearFilter;
   texture.magFilter = LinearFilter;
@@ -228,20 +473,34 @@ export function waterHoverLiquidEffect(canvas, options = {}) {
   const uniforms = {
     uTime: { value: 0 },
     uAmplitude: { value: amplitude },
+    uWaveAmplitudes: { value: new Vector3() },
+    uWaveSpeeds: { value: new Vector3() },
+    uWaveFrequencies: { value: new Vector3() },
     uTex: { value: texture },
+    uResolution: { value: new Vector2(width, height) },
+    uImageSize: { value: imageSize },
+    uFit: { value: 0 },
+    uFitPosition: { value: new Vector2(0.5, 0.5) },
     uMouse: { value: new Vector2(-10, -10) }, // offscreen init
+    uDistortion: { value: 1 }, // reduced motion scales the image warp
   };
 
   const vertexShader = `
     uniform float uTime;
     uniform float uAmplitude;
+    uniform vec3 uWaveAmplitudes;
+    uniform vec3 uWaveSpeeds;
+    uniform vec3 uWaveFrequencies;
     varying vec2 vUv;
     void main() {
       vUv = uv;
       vec3 pos = position;
-      float wave1 = sin((pos.x + uTime * 0.6) * 2.0) * 0.15;
-      float wave2 = cos((pos.y * 1.2 + uTime) * 3.0) * 0.1;
-      float wave3 = sin((pos.x * 2.4 - uTime * 0.7) + pos.y * 1.7) * 0.08;
+      vec3 a = uWaveAmplitudes;
+      vec3 s = uWaveSpeeds;
+      vec3 f = uWaveFrequencies;
+      float wave1 = sin((pos.x + uTime * s.x) * f.x) * a.x;
+      float wave2 = cos((pos.y * 1.2 + uTime * s.y) * f.y) * a.y;
+      float wave3 = sin(pos.x * f.z - uTime * s.z + pos.y * 1.7) * a.z;
       pos.z += (wave1 + wave2 + wave3) * uAmplitude;
       gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
     }
@@ -251,7 +510,11 @@ export function waterHoverLiquidEffect(canvas, options = {}) {
     uniform float uTime;
     uniform sampler2D uTex;
     uniform vec2 uMouse;
+    uniform vec2 uResolution;
+    uniform vec2 uImageSize;
+    uniform float uDistortion;
     varying vec2 vUv;
+    ${FIT_GLSL}
     void main() {
       float t = uTime * 0.2;
       vec2 p = vUv * 2.0 - 1.0;
@@ -259,9 +522,10 @@ export function waterHoverLiquidEffect(canvas, options = {}) {
       float mouseMask = exp(-dist * 18.0); // strong near mouse, fades out
       float baseWave = sin(8.0 * p.x + t) * 0.01 + cos(8.0 * p.y - t) * 0.01;
       float mouseWave = sin(18.0 * p.x + t * 2.0) * 0.03 * mouseMask;
-      vec2 uv = vUv + baseWave * p + mouseWave * (p - (uMouse - 0.5));
+      vec2 uv = vUv + (baseWave * p + mouseWave * (p - (uMouse - 0.5))) * uDistortion;
+      uv = fitUV(uv, uResolution, uImageSize);
       vec4 texColor = texture2D(uTex, uv);
-      gl_FragColor = texColor;
+      gl_FragColor = texColor * fitMask(uv);
     }
   `;
   const material = new ShaderMaterial({
@@ -275,57 +539,83 @@ export function waterHoverLiquidEffect(canvas, options = {}) {
   scene.add(mesh);
 
   // Mouse interaction
-  function onMove(e) {
-    const rect = canvas.getBoundingClientRect();
-    const x = (e.clientX - rect.left) / rect.width;
-    const y = (e.clientY - rect.top) / rect.height;
-    uniforms.uMouse.value.set(x, 1.0 - y);
+  function onMove(p) {
+    uniforms.uMouse.value.set(p.x, 1.0 - p.y);
   }
   function onLeave() {
     uniforms.uMouse.value.set(-10, -10);
   }
-  canvas.addEventListener("mousemove", onMove);
-  canvas.addEventListener("mouseleave", onLeave);
-
-  const clock = new Clock();
-  let rafId = 0;
-  let isDisposed = false;
+  const unbindPointer = bindPointer(
+    canvas,
+    { move: onMove, leave: onLeave },
+    options
+  );
 
   function resizeToDisplaySize() {
     const displayWidth = canvas.clientWidth || width;
     const displayHeight = canvas.clientHeight || height;
     const needResize =
-      canvas.width !== displayWidth || canvas.height !== displayHeight;
+      canvas.width !== Math.round(displayWidth * pixelRatio) ||
+      canvas.height !== Math.round(displayHeight * pixelRatio);
     if (needResize) {
-      renderer.setSize(displayWidth, displayHeight, false);
+      output.setSize(displayWidth, displayHeight, pixelRatio);
+      uniforms.uResolution.value.set(displayWidth, displayHeight);
       camera.left = -1.4;
       camera.right = 1.4;
       camera.top = 1;
       camera.bottom = -1;
       camera.updateProjectionMatrix();
+      emit("resize", { width: canvas.width, height: canvas.height });
     }
   }
 
-  function render() {
-    if (isDisposed) return;
-    rafId = requestAnimationFrame(render);
+  function render(dt) {
     resizeToDisplaySize();
-    uniforms.uTime.value += clock.getDelta();
-    renderer.render(scene, camera);
+    uniforms.uTime.value += dt * effect.motion.intensity;
+    output.render(scene, camera);
+    if (loaded && !ready) {
+      ready = true;
+      emit("ready", { width: canvas.width, height: canvas.height });
+    }
+  }
+
+  function handleContextRestored() {
+    if (texture.image) texture.needsUpdate = true;
+    material.needsUpdate = true;
   }
 
-  render();
+  // Reduced motion slows and flattens the waves and weakens the pointer
+  // warp; 0 shows the plain image
+  function applyOptions() {
+    const { intensity } = effect.motion;
+    uniforms.uFit.value = fitMode(opts.fit);
+    uniforms.uFitPosition.value.fromArray(parsePosition(opts.position));
+    uniforms.uAmplitude.value = opts.amplitude * intensity;
+    uniforms.uDistortion.value = intensity;
+    uniforms.uWaveAmplitudes.value.set(
+      opts.wave1Amplitude,
+      opts.wave2Amplitude,
+      opts.wave3Amplitude
+    );
+    uniforms.uWaveSpeeds.value.set(
+      opts.wave1Speed,
+      opts.wave2Speed,
+      opts.wave3Speed
+    );
+    uniforms.uWaveFrequencies.value.set(
+      opts.wave1Frequency,
+      opts.wave2Frequency,
+      opts.wave3Frequency
+    );
+  }
 
   function dispose() {
-    isDisposed = true;
-    cancelAnimationFrame(rafId);
     geometry.dispose();
     material.dispose();
-    renderer.dispose();
+    output.dispose();
     texture.dispose();
-    canvas.removeEventListener("mousemove", onMove);
-    canvas.removeEventListener("mouseleave", onLeave);
+    unbindPointer();
   }
 
-  return dispose;
+  return effect.start(opts);
 }
@@ -1,4 +1,7 @@
-export { waterHoverEffect } from "./effects/waterHover.js";
+export {
+  waterHoverEffect,
+  waterHoverLiquidEffect,
+} from "./effects/waterHover.js";
 export { realisticWaterHoverEffect } from "./effects/realisticWaterHover.js";
 export { glitchEffect } from "./effects/glitch.js";
 export { fluidSimulationEffect } from "./effects/fluidSimulation.js";
@@ -8,6 +11,7 @@ export {
   initKxxxrEffects,
   cleanupKxxxrEffects,
   reinitKxxxrEffects,
+  configureKxxxrEffects,
 } from "./auto-init.js";
 
 // Auto-initialize effects on page load